@@ -0,0 +1,5 @@
+const report = require('./report');
+
+module.exports = {
+  report,
+};
@@ -0,0 +1,22 @@
+const analyticsService = require('./../../services/analyticsService');
+
+const { PERIODS, GROUPS } = analyticsService;
+
+/**
+ * Performance metrics of the closed trades, filtered by `user`, `rule`, `symbol` and a `from`/`to` sell date range.
+ * Optionally grouped by `period` (day, week or month) and `by` (user, rule or symbol)
+ */
+module.exports = async (request, response) => {
+  const { filter = '{}', period, by } = request.query;
+
+  if (period && !PERIODS.includes(period)) {
+    return response.status(400).send({ message: `period must be one of ${PERIODS.join(', ')}` });
+  }
+  if (by && !GROUPS.includes(by)) {
+    return response.status(400).send({ message: `by must be one of ${GROUPS.join(', ')}` });
+  }
+
+  const report = await analyticsService.getReport(JSON.parse(filter), { period, by });
+
+  response.status(200).send(report);
+};
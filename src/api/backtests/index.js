@@ -0,0 +1,5 @@
+const run = require('./run');
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const { isArray } = require('lodash');
+
+const { queries: { getRuleWithPatterns } } = require('./../../models');
+const backtester = require('./../../engine/backtester');
+const historicalData = require('./../../services/historicalDataService');
+const { BACKTEST_DATA_DIR = path.join(__dirname, '../../../data') } = require('./../../config/env');
+
+/**
+ * Runs a backtest
+ * Body:
+ * - ruleId: id of a saved rule, and/or
+ * - rule: inline rule, or fields overriding the saved rule. Patterns go inline e.g. `strategy.in.query`
+ * - bars: inline OHLCV bars, or
+ * - file: name of a CSV/JSON file in the backtest data directory
+ * - options: `{ continueAfterSold }`
+ */
+module.exports = async (request, response) => {
+  const { ruleId, rule: ruleFields = {}, bars: inlineBars, file, options = {} } = request.body;
+  let rule = ruleFields;
+
+  try {
+    if (ruleId) {
+      const savedRule = await getRuleWithPatterns(ruleId);
+
+      if (!savedRule) {
+        return response.status(404).send('Rule not found');
+      }
+      rule = { ...savedRule.toObject(), ...ruleFields };
+    }
+
+    let bars;
+    if (isArray(inlineBars)) {
+      bars = historicalData.normalize(inlineBars);
+    } else if (file) {
+      // Only files inside the data directory can be used
+      bars = await historicalData.loadFile(path.join(BACKTEST_DATA_DIR, path.basename(file)));
+    } else {
+      return response.status(400).send({ message: 'Either bars or file must be provided' });
+    }
+
+    response.status(200).send(backtester.run(rule, bars, options));
+  } catch (error) {
+    response.status(400).send({ message: error.message });
+  }
+};
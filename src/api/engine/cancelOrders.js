@@ -0,0 +1,26 @@
+const engine = require('./../../engine/engine');
+
+/**
+ * Cancels the open orders submitted by the engine
+ * Body:
+ * - userId, ruleId: optional, to only cancel the orders of a user or a rule
+ */
+module.exports = async (request, response) => {
+  const { userId, ruleId } = request.body;
+  const filter = {};
+
+  if (userId) {
+    filter.user = userId;
+  }
+  if (ruleId) {
+    filter.rule = ruleId;
+  }
+
+  try {
+    const results = await engine.cancelOpenOrders(filter);
+
+    response.status(200).send(results);
+  } catch (error) {
+    response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+};
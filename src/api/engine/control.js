@@ -0,0 +1,25 @@
+const engine = require('./../../engine/engine');
+
+/**
+ * Starts, pauses, resumes or stops the engine. Responds 409 when the engine state does not allow the action
+ * @param action - 'start', 'pause', 'resume' or 'stop'
+ */
+module.exports = (action) => async (request, response) => {
+  const previousState = engine.state;
+
+  if (action === 'start') {
+    if (previousState !== 'stopped') {
+      return response.status(409).send({ message: `Cannot start the engine while ${previousState}`, state: previousState });
+    }
+
+    // Starting takes a while, the engine is ready once its state is 'running'. Errors are logged by the engine
+    engine.start();
+    return response.status(202).send({ state: engine.state });
+  }
+
+  if (!engine[action]()) {
+    return response.status(409).send({ message: `Cannot ${action} the engine while ${previousState}`, state: previousState });
+  }
+
+  response.status(200).send({ state: engine.state });
+};
@@ -0,0 +1,7 @@
+const { EngineSettings } = require('./../../models');
+
+module.exports = async (request, response) => {
+  const settings = await EngineSettings.getSettings();
+
+  response.status(200).send(settings);
+};
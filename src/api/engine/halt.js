@@ -0,0 +1,41 @@
+const { EngineSettings, User } = require('./../../models');
+const engine = require('./../../engine/engine');
+const logger = require('./../../services/logService');
+
+/**
+ * Kill-switch. Halts or resumes new entries engine wide, see `EngineSettings.halted`
+ * @param halted
+ */
+module.exports = (halted) => async (request, response) => {
+  const { reason = null } = request.body;
+  let settings;
+  let user;
+
+  try {
+    [settings, user] = await Promise.all([
+      EngineSettings.getSettings(),
+      User.findById(request.auth.id).lean(),
+    ]);
+  } catch (error) {
+    return response.status(500).send({ message: error.message });
+  }
+
+  if (!user) {
+    return response.status(404).send('User not found');
+  }
+
+  settings.applyChanges({ halted, haltReason: halted ? reason : null }, user);
+
+  try {
+    await settings.save();
+  } catch (error) {
+    return response.status(400).send({ message: error.message });
+  }
+  engine.settings = settings.toObject();
+
+  logger.log(halted ?
+    `:octagonal_sign: *ENGINE HALTED* by ${user.username}${reason ? `: ${reason}` : ''}` :
+    `:arrow_forward: *ENGINE RESUMED* by ${user.username}`);
+
+  response.status(200).send({ halted: settings.halted, haltReason: settings.haltReason });
+};
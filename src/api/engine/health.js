@@ -0,0 +1,11 @@
+const engine = require('./../../engine/engine');
+
+/**
+ * Health check for process supervisors, available without authentication. Responds 503 when unhealthy
+ * @param db - Mongoose connection
+ */
+module.exports = (db) => async (request, response) => {
+  const health = engine.getHealth(db.readyState === 1);
+
+  response.status(health.healthy ? 200 : 503).send(health);
+};
@@ -0,0 +1,25 @@
+const getSettings = require('./getSettings');
+const updateSettings = require('./updateSettings');
+const halt = require('./halt');
+const liquidate = require('./liquidate');
+const cancelOrders = require('./cancelOrders');
+const control = require('./control');
+const status = require('./status');
+const health = require('./health');
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  halt: halt(true),
+  liftHalt: halt(false),
+  liquidate: liquidate('all'),
+  liquidateUser: liquidate('user'),
+  liquidateRule: liquidate('rule'),
+  cancelOrders,
+  start: control('start'),
+  pause: control('pause'),
+  resume: control('resume'),
+  stop: control('stop'),
+  status,
+  health,
+};
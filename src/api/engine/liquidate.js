@@ -0,0 +1,38 @@
+const { Rule } = require('./../../models');
+const engine = require('./../../engine/engine');
+
+/**
+ * Sells every share held by the engine trades, after cancelling their open orders.
+ * Globally on `/engine/liquidate`, for a user on `/users/:id/liquidate` or for a rule on `/rules/:id/liquidate`.
+ * A liquidated rule is disabled, otherwise the entries of the liquidated users are halted for the rest of the day
+ * @param scope - 'all', 'user' or 'rule'
+ */
+module.exports = (scope) => async (request, response) => {
+  const { id } = request.params;
+  const filter = scope === 'all' ? {} : { [scope]: id };
+
+  try {
+    // Users can liquidate their own positions, admins anybody's
+    if (request.auth.role !== 'admin') {
+      let ownerId = scope === 'user' ? id : null;
+
+      if (scope === 'rule') {
+        const rule = await Rule.findById(id).lean();
+        if (!rule) {
+          return response.status(404).send('Rule not found');
+        }
+        ownerId = rule.user.toString();
+      }
+
+      if (ownerId !== request.auth.id) {
+        return response.status(403).send({ status: 403, statusText: 'admin role required' });
+      }
+    }
+
+    const results = await engine.liquidate(filter);
+
+    response.status(200).send(results);
+  } catch (error) {
+    response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+};
@@ -0,0 +1,5 @@
+const engine = require('./../../engine/engine');
+
+module.exports = async (request, response) => {
+  response.status(200).send(engine.getStatus());
+};
@@ -0,0 +1,40 @@
+const { pick } = require('lodash');
+
+const { EngineSettings, User } = require('./../../models');
+const engine = require('./../../engine/engine');
+
+/**
+ * Updates the engine settings. Every changed value is audited with the user making the change,
+ * and the running engine picks the settings up right away
+ */
+module.exports = async (request, response) => {
+  let settings;
+  let user;
+
+  try {
+    [settings, user] = await Promise.all([
+      EngineSettings.getSettings(),
+      User.findById(request.auth.id).lean(),
+    ]);
+  } catch (error) {
+    return response.status(500).send({ message: error.message });
+  }
+
+  if (!user) {
+    return response.status(404).send('User not found');
+  }
+
+  const changed = settings.applyChanges(pick(request.body, EngineSettings.EDITABLE_FIELDS), user);
+
+  try {
+    await settings.save();
+  } catch (error) {
+    return response.status(400).send({ message: error.message });
+  }
+
+  if (changed.length) {
+    engine.settings = settings.toObject();
+  }
+
+  response.status(200).send(settings);
+};
@@ -0,0 +1,5 @@
+const stream = require('./stream');
+
+module.exports = {
+  stream,
+};
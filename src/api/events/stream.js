@@ -0,0 +1,48 @@
+const { compact } = require('lodash');
+const events = require('./../../services/eventService');
+
+const { EVENT_TYPES } = events;
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * @private
+ */
+const toList = (value = '') => compact(String(value).split(',').map(v => v.trim()));
+
+/**
+ * Live engine events as Server-Sent Events. Every query param is an optional comma separated list:
+ * `users`, `rules`, `symbols` and `types`, e.g. `/events?symbols=AAPL,TSLA&types=quote`.
+ * Users only receive their own events and the quotes, admins every event
+ */
+module.exports = (request, response) => {
+  const { id: userId, role } = request.auth;
+  const filter = {
+    users: toList(request.query.users),
+    rules: toList(request.query.rules),
+    symbols: toList(request.query.symbols),
+    types: toList(request.query.types),
+  };
+  const isAllowed = (event) => role === 'admin' || event.user === userId ||
+    (!event.user && event.type !== EVENT_TYPES.ENGINE_ERROR);
+
+  response.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  response.flushHeaders();
+  response.write('retry: 5000\n\n');
+
+  const unsubscribe = events.subscribe(filter, (event) => {
+    if (isAllowed(event)) {
+      response.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  });
+  const heartbeat = setInterval(() => response.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  request.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
@@ -2,12 +2,22 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const { API_PORT } = require('./../config/env');
+const logger = require('./../services/logService');
 const jwt = require('./middlewares/jwt');
+const queryToken = require('./middlewares/queryToken');
 const rules = require('./rules');
 const trades = require('./trades');
 const patterns = require('./patterns');
 const users = require('./users');
+const backtests = require('./backtests');
+const orders = require('./orders');
+const reconciliations = require('./reconciliations');
+const engine = require('./engine');
+const events = require('./events');
+const logs = require('./logs');
+const analytics = require('./analytics');
 const authenticate = require('./middlewares/authenticate');
+const admin = require('./middlewares/admin');
 
 module.exports = (db) => {
   const api = express();
@@ -22,6 +32,8 @@ module.exports = (db) => {
   });
 
   api.post('/api/v1/login', authenticate);
+  api.get('/api/v1/health', engine.health(db));
+  api.get('/api/v1/events', queryToken, jwt, events.stream);
 
   api.use(jwt);
 
@@ -29,15 +41,23 @@ module.exports = (db) => {
   api.get('/api/v1/trades', trades.list);
   api.get('/api/v1/patterns', patterns.list);
   api.get('/api/v1/users', users.list);
+  api.get('/api/v1/orders', orders.list);
+  api.get('/api/v1/trades/export', trades.exportTrades);
+  api.get('/api/v1/trades/realized-gains', trades.realizedGains);
 
   api.get('/api/v1/rules/:id', rules.getOne);
+  api.get('/api/v1/rules/:id/evaluations', rules.evaluations);
   api.get('/api/v1/trades/:id', trades.getOne);
   api.get('/api/v1/patterns/:id', patterns.getOne);
   api.get('/api/v1/users/:id', users.getOne);
+  api.get('/api/v1/users/:id/day-trades', users.dayTrades);
+  api.get('/api/v1/users/:id/equity', users.equity);
+  api.get('/api/v1/orders/:id', orders.getOne);
 
   api.post('/api/v1/rules', rules.create);
   api.post('/api/v1/trades', trades.create);
   api.post('/api/v1/patterns', patterns.create);
+  api.post('/api/v1/patterns/explain', patterns.explain);
   api.post('/api/v1/users', users.create);
 
   api.patch('/api/v1/rules/:id', rules.update);
@@ -55,6 +75,29 @@ module.exports = (db) => {
   api.delete('/api/v1/patterns', patterns.deleteMany);
   api.delete('/api/v1/users', users.deleteMany);
 
-  api.listen(API_PORT, () => console.debug(`Database connected. API running on port ${API_PORT}`));
+  api.post('/api/v1/backtests', backtests.run);
+
+  api.get('/api/v1/reconciliations/latest', admin, reconciliations.latest);
+  api.post('/api/v1/reconciliations', admin, reconciliations.run);
+
+  api.get('/api/v1/engine/settings', admin, engine.getSettings);
+  api.patch('/api/v1/engine/settings', admin, engine.updateSettings);
+  api.get('/api/v1/engine/status', engine.status);
+  api.post('/api/v1/engine/start', admin, engine.start);
+  api.post('/api/v1/engine/pause', admin, engine.pause);
+  api.post('/api/v1/engine/resume', admin, engine.resume);
+  api.post('/api/v1/engine/stop', admin, engine.stop);
+  api.post('/api/v1/engine/halt', admin, engine.halt);
+  api.delete('/api/v1/engine/halt', admin, engine.liftHalt);
+  api.post('/api/v1/engine/cancel-orders', admin, engine.cancelOrders);
+  api.post('/api/v1/engine/liquidate', admin, engine.liquidate);
+  api.post('/api/v1/users/:id/liquidate', engine.liquidateUser);
+  api.post('/api/v1/rules/:id/liquidate', engine.liquidateRule);
+
+  api.get('/api/v1/logs', admin, logs.list);
+
+  api.get('/api/v1/analytics', analytics.report);
+
+  api.listen(API_PORT, () => logger.info(`Database connected. API running on port ${API_PORT}`));
 };
 
@@ -0,0 +1,5 @@
+const list = require('./list');
+
+module.exports = {
+  list,
+};
@@ -0,0 +1,39 @@
+const { Log } = require('./../../models');
+
+/**
+ * Log records, filtered by `level`, `user`, `rule`, `trade`, `symbol` and a `from`/`to` date range
+ */
+module.exports = async (request, response) => {
+  const { filter = '{}', page = '1', sort = '{ "createdAt": "desc" }', max = '100' } = request.query;
+  const searchQuery = {};
+  const search = JSON.parse(filter);
+
+  ['level', 'user', 'rule', 'trade', 'symbol'].forEach((field) => {
+    if (search[field]) {
+      searchQuery[field] = search[field];
+    }
+  });
+
+  if (search.from || search.to) {
+    searchQuery.createdAt = {};
+    if (search.from) {
+      searchQuery.createdAt.$gte = new Date(search.from);
+    }
+    if (search.to) {
+      searchQuery.createdAt.$lte = new Date(search.to);
+    }
+  }
+
+  const [docs, count] = await Promise.all([
+    Log
+      .find(searchQuery)
+      .limit(Number(max))
+      .skip((Number(page) - 1) * max)
+      .sort(JSON.parse(sort)),
+    Log
+      .countDocuments(searchQuery)
+  ]);
+
+  response.set('X-Total-Count', count);
+  response.status(200).send(docs);
+};
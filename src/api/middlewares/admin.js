@@ -0,0 +1,13 @@
+/**
+ * Restricts a route to admin users. Must be used after the jwt middleware
+ */
+module.exports = (request, response, next) => {
+  if (request.auth && request.auth.role === 'admin') {
+    return next();
+  }
+
+  response.status(403).send({
+    status: 403,
+    statusText: 'admin role required'
+  });
+};
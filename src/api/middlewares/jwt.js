@@ -6,6 +6,8 @@ module.exports = async (request, response, next) => {
   if (token) {
     try {
       const isValid = await verifyJWTToken(token);
+      // Decoded token `{ id, role }`, available to handlers
+      request.auth = isValid;
       if (isValid) next();
       else {
         response.status(401).send({
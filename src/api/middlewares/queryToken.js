@@ -0,0 +1,11 @@
+/**
+ * Accepts the JWT as `?token=` query param, for EventSource clients which can't set headers.
+ * Only meant for the event stream, must be used before the jwt middleware
+ */
+module.exports = (request, response, next) => {
+  if (!request.headers['authorization'] && request.query.token) {
+    request.headers['authorization'] = request.query.token;
+  }
+  delete request.query.token;
+  next();
+};
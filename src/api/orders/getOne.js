@@ -0,0 +1,17 @@
+const { Order } = require('./../../models');
+
+module.exports = async (request, response) => {
+  const { id } = request.params;
+  let order;
+
+  try {
+    order = await Order.findById(id);
+  } catch (error) {
+    return response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+
+  if (!order) {
+    return response.status(404).send('Order not found');
+  }
+  response.status(200).send(order);
+};
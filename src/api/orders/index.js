@@ -0,0 +1,7 @@
+const getOne = require('./getOne');
+const list = require('./list');
+
+module.exports = {
+  getOne,
+  list,
+};
@@ -0,0 +1,26 @@
+const { Order } = require('./../../models');
+
+module.exports = async (request, response) => {
+  const { filter = '{}', page = '1', sort = '{ "createdAt": "desc" }', max = '100' } = request.query;
+  const searchQuery = {};
+  const search = JSON.parse(filter);
+
+  ['user', 'rule', 'trade', 'state', 'side', 'brokerId'].forEach((field) => {
+    if (search[field]) {
+      searchQuery[field] = search[field];
+    }
+  });
+
+  const [docs, count] = await Promise.all([
+    Order
+      .find(searchQuery)
+      .limit(Number(max))
+      .skip((Number(page) - 1) * max)
+      .sort(JSON.parse(sort)),
+    Order
+      .countDocuments(searchQuery)
+  ]);
+
+  response.set('X-Total-Count', count);
+  response.status(200).send(docs);
+};
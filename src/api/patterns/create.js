@@ -3,7 +3,12 @@ const { Pattern } = require('./../../models');
 module.exports = async (request, response) => {
   const pattern = new Pattern(request.body);
 
-  await pattern.save();
+  try {
+    await pattern.save();
+  } catch (error) {
+    // Invalid JSON or expression queries are rejected before being saved
+    return response.status(400).send({ message: error.message });
+  }
 
   response.status(201).send(pattern);
 };
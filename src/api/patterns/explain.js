@@ -0,0 +1,62 @@
+const { get } = require('lodash');
+
+const { Pattern, queries: { getRuleWithPatterns } } = require('./../../models');
+const marketData = require('./../../services/marketData');
+const engine = require('./../../engine/engine');
+const { buildMetadata, getPatternQuery, explainQuery } = require('./../../engine/strategy');
+
+/**
+ * Dry-runs a pattern and explains which clauses matched
+ * Body:
+ * - patternId: id of a saved pattern, or
+ * - pattern: inline pattern `{ query, syntax }`
+ * - ruleId / rule: rule context, optional
+ * - quote: quote to evaluate against, or
+ * - symbol: symbol prefixed by exchange e.g. 'NASDAQ:AAPL', to fetch the live quote
+ * - isExit: evaluate as an exit pattern, which does not match when the pattern is empty
+ */
+module.exports = async (request, response) => {
+  const { patternId, ruleId, rule: inlineRule = {}, symbol, isExit = false } = request.body;
+  let { pattern, quote } = request.body;
+
+  try {
+    if (patternId) {
+      pattern = await Pattern.findById(patternId);
+
+      if (!pattern) {
+        return response.status(404).send('Pattern not found');
+      }
+    } else if (!get(pattern, 'query')) {
+      return response.status(400).send({ message: 'Either patternId or pattern must be provided' });
+    }
+
+    let rule = inlineRule;
+    if (ruleId) {
+      rule = await getRuleWithPatterns(ruleId);
+
+      if (!rule) {
+        return response.status(404).send('Rule not found');
+      }
+    }
+
+    if (!quote && symbol) {
+      [quote] = await marketData.peekQuotes([symbol], { users: engine.users, frequency: get(rule, 'frequency') });
+    }
+    if (!quote) {
+      return response.status(400).send({ message: 'Either quote or a valid symbol must be provided' });
+    }
+
+    const metadata = buildMetadata(rule, {}, quote);
+    const query = getPatternQuery(pattern, metadata, isExit);
+    const explanation = explainQuery(query, metadata);
+
+    response.status(200).send({
+      query,
+      result: explanation.result,
+      explanation,
+      quote,
+    });
+  } catch (error) {
+    response.status(400).send({ message: error.message, position: error.position });
+  }
+};
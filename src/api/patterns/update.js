@@ -11,7 +11,12 @@ module.exports = async (request, response) => {
 
   pattern.set(request.body);
 
-  await pattern.save();
+  try {
+    await pattern.save();
+  } catch (error) {
+    // Invalid JSON or expression queries are rejected before being saved
+    return response.status(400).send({ message: error.message });
+  }
 
   response.status(200).send(pattern);
 };
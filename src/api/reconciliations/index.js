@@ -0,0 +1,7 @@
+const run = require('./run');
+const latest = require('./latest');
+
+module.exports = {
+  run,
+  latest,
+};
@@ -0,0 +1,8 @@
+const reconciler = require('./../../engine/reconciler');
+
+module.exports = async (request, response) => {
+  if (!reconciler.lastReport) {
+    return response.status(404).send('Reconciliation report not found');
+  }
+  response.status(200).send(reconciler.lastReport);
+};
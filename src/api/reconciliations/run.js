@@ -0,0 +1,15 @@
+const engine = require('./../../engine/engine');
+const reconciler = require('./../../engine/reconciler');
+
+/**
+ * Reconciles the broker state of the engine users against their trades, see `Reconciler`
+ */
+module.exports = async (request, response) => {
+  if (!engine.users.length) {
+    return response.status(409).send({ message: 'Engine users are not loaded yet' });
+  }
+
+  const report = await reconciler.run(engine.users);
+
+  response.status(200).send(report);
+};
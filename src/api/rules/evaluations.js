@@ -0,0 +1,61 @@
+const { Evaluation, Rule } = require('./../../models');
+
+/**
+ * Latest evaluations of a rule, filtered by `decision` and a `from`/`to` date range
+ */
+module.exports = async (request, response) => {
+  const { id } = request.params;
+  const { filter = '{}', page = '1', max = '100' } = request.query;
+  const searchQuery = { rule: id };
+  let search;
+  let rule;
+
+  try {
+    search = JSON.parse(filter);
+  } catch (error) {
+    return response.status(400).send({ message: `Invalid filter. ${error.message}` });
+  }
+
+  try {
+    rule = await Rule.findById(id).lean();
+  } catch (error) {
+    return response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+
+  if (!rule) {
+    return response.status(404).send('Rule not found');
+  }
+
+  if (search.decision) {
+    searchQuery.decision = search.decision;
+  }
+  if (search.from || search.to) {
+    searchQuery.createdAt = {};
+    if (search.from) {
+      searchQuery.createdAt.$gte = new Date(search.from);
+    }
+    if (search.to) {
+      searchQuery.createdAt.$lte = new Date(search.to);
+    }
+    if (Object.values(searchQuery.createdAt).some(date => isNaN(date))) {
+      return response.status(400).send({ message: 'Invalid from or to date' });
+    }
+  }
+
+  try {
+    const [docs, count] = await Promise.all([
+      Evaluation
+        .find(searchQuery)
+        .limit(Number(max))
+        .skip((Number(page) - 1) * max)
+        .sort({ createdAt: 'desc' }),
+      Evaluation
+        .countDocuments(searchQuery)
+    ]);
+
+    response.set('X-Total-Count', count);
+    response.status(200).send(docs);
+  } catch (error) {
+    response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+};
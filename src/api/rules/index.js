@@ -4,6 +4,7 @@ const create = require('./create');
 const remove = require('./remove');
 const update = require('./update');
 const deleteMany = require('./deleteMany');
+const evaluations = require('./evaluations');
 
 module.exports = {
   getOne,
@@ -11,5 +12,6 @@ module.exports = {
   create,
   update,
   remove,
-  deleteMany
+  deleteMany,
+  evaluations,
 };
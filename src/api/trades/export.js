@@ -0,0 +1,24 @@
+const exportService = require('./../../services/exportService');
+
+const { TRADE_COLUMNS } = exportService;
+
+/**
+ * Completed trades as `format=json` (default) or `format=csv`, filtered by `user`, `rule`, `symbol` and a
+ * `from`/`to` sell date range
+ */
+module.exports = async (request, response) => {
+  const { filter = '{}', format = 'json' } = request.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    return response.status(400).send({ message: 'format must be one of json, csv' });
+  }
+
+  const rows = await exportService.getTradeRows(JSON.parse(filter));
+
+  if (format === 'csv') {
+    response.attachment('trades.csv');
+    return response.status(200).send(exportService.toCSV(rows, TRADE_COLUMNS));
+  }
+
+  response.status(200).send(rows);
+};
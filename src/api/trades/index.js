@@ -4,6 +4,8 @@ const create = require('./create');
 const remove = require('./remove');
 const update = require('./update');
 const deleteMany = require('./deleteMany');
+const exportTrades = require('./export');
+const realizedGains = require('./realizedGains');
 
 module.exports = {
   getOne,
@@ -11,5 +13,7 @@ module.exports = {
   create,
   update,
   remove,
-  deleteMany
+  deleteMany,
+  exportTrades,
+  realizedGains,
 };
@@ -0,0 +1,24 @@
+const exportService = require('./../../services/exportService');
+
+const { GAIN_COLUMNS } = exportService;
+
+/**
+ * Realized gains matched FIFO, as `format=json` (default, with totals) or `format=csv`. Filtered by `user`,
+ * `symbol` and a `from`/`to` sale date range
+ */
+module.exports = async (request, response) => {
+  const { filter = '{}', format = 'json' } = request.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    return response.status(400).send({ message: 'format must be one of json, csv' });
+  }
+
+  const report = await exportService.getRealizedGains(JSON.parse(filter));
+
+  if (format === 'csv') {
+    response.attachment('realized-gains.csv');
+    return response.status(200).send(exportService.toCSV(report.gains, GAIN_COLUMNS));
+  }
+
+  response.status(200).send(report);
+};
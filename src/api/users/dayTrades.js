@@ -0,0 +1,32 @@
+const { User } = require('./../../models');
+const engine = require('./../../engine/engine');
+const riskManager = require('./../../engine/riskManager');
+
+/**
+ * Current day trades count and remaining day trades of a user, over the rolling 5 business days window.
+ * `remaining` is null when the account is not restricted by the Pattern Day Trader rule
+ */
+module.exports = async (request, response) => {
+  const { id } = request.params;
+  let user;
+
+  try {
+    user = await User.findById(id).lean();
+  } catch (error) {
+    return response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+
+  if (!user) {
+    return response.status(404).send('User not found');
+  }
+
+  try {
+    // Account values are only known once loaded by the engine
+    const engineUser = (engine.users || []).find(u => u._id.toString() === id);
+    const status = await riskManager.getDayTradesStatus({ ...user, account: engineUser && engineUser.account });
+
+    response.status(200).send(status);
+  } catch (error) {
+    response.status(500).send({ message: error.message });
+  }
+};
@@ -0,0 +1,33 @@
+const { User } = require('./../../models');
+const equityTracker = require('./../../engine/equityTracker');
+
+/**
+ * Equity curve and daily returns of a user, over an optional `from`/`to` date range
+ */
+module.exports = async (request, response) => {
+  const { id } = request.params;
+  const { from, to } = request.query;
+  let user;
+
+  if ([from, to].some(date => date && isNaN(new Date(date)))) {
+    return response.status(400).send({ message: 'Invalid from or to date' });
+  }
+
+  try {
+    user = await User.findById(id).lean();
+  } catch (error) {
+    return response.status(error.name === 'CastError' ? 400 : 500).send({ message: error.message });
+  }
+
+  if (!user) {
+    return response.status(404).send('User not found');
+  }
+
+  try {
+    const curve = await equityTracker.getEquityCurve(id, { from, to });
+
+    response.status(200).send(curve);
+  } catch (error) {
+    response.status(500).send({ message: error.message });
+  }
+};
@@ -4,6 +4,8 @@ const update = require('./update');
 const getOne = require('./getOne');
 const remove = require('./remove');
 const deleteMany = require('./deleteMany');
+const dayTrades = require('./dayTrades');
+const equity = require('./equity');
 
 module.exports = {
   list,
@@ -11,5 +13,7 @@ module.exports = {
   update,
   getOne,
   remove,
-  deleteMany
+  deleteMany,
+  dayTrades,
+  equity,
 };
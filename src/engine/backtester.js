@@ -0,0 +1,175 @@
+const moment = require('moment');
+const { get, sumBy } = require('lodash');
+
+const { QuoteHistory } = require('../services/marketData/quoteHistory');
+const indicators = require('../services/indicators');
+const {
+  buildMetadata,
+  getOrderOptions,
+  getPositionSize,
+  applyBuyFill,
+  decide,
+  followPrice,
+  shouldFollowPrice,
+} = require('./strategy');
+
+/**
+ * Replays historical bars through the same decision logic used by the `Engine`.
+ * Fill model: orders fill entirely on the bar that triggered them, at the limit or stop price the engine would send.
+ * Market and trailing stop orders fill at the bar close
+ */
+class Backtester {
+  /**
+   * Runs a backtest
+   * @param rule - Rule with populated `strategy.in` and `strategy.out` patterns
+   * @param bars - Normalized bars, see `historicalDataService.normalize`
+   * @param options
+   * @param options.user - User fields available to patterns
+   * @param options.account - Simulated account, e.g. `{ buyingPower: 10000 }`, used by sizing modes
+   * @param options.continueAfterSold - Keep trading after a sell even if the rule would be disabled
+   * @returns {{ trades: Object[], openTrade: Object, summary: Object }}
+   */
+  run(rule, bars = [], { user = {}, account = {}, continueAfterSold = false } = {}) {
+    const trades = [];
+    let trade = null;
+    let enabled = true;
+    const history = new QuoteHistory();
+    const specs = [...indicators.defaultSpecs, ...get(rule, 'indicators', [])];
+
+    for (let index = 0; index < bars.length && enabled; index++) {
+      const bar = bars[index];
+      const nextBar = bars[index + 1];
+      const indicatorFields = indicators.compute(bars.slice(Math.max(0, index + 1 - indicators.maxBars), index + 1), specs);
+      const quote = history.append(this.toQuote(rule, bar, indicatorFields), { size: get(rule, 'historySize') });
+      const price = quote.close;
+      const lastOrderIsBuy = !!trade;
+
+      const decision = decide({
+        rule,
+        trade,
+        metadata: buildMetadata(rule, user, quote),
+        price,
+        lastOrderIsBuy,
+        lastOrderIsSell: !lastOrderIsBuy,
+        // The last bar of each day plays the role of the last seconds before market is closed
+        closingSoon: !nextBar || !moment(nextBar.date).isSame(bar.date, 'day'),
+        sellAll: false,
+      });
+
+      if (decision.side === 'buy') {
+        const shares = getPositionSize(rule, price, account);
+
+        if (shares >= 1) {
+          trade = this.createTrade(rule, user, shares);
+          applyBuyFill(rule, trade, this.getFillPrice(rule, 'buy', price, false), bar.date, shares);
+        }
+      } else if (decision.side === 'sell') {
+        const fillPrice = this.getFillPrice(rule, 'sell', price, decision.flatten);
+        trades.push(this.closeTrade(trade, fillPrice, bar.date, decision.reason));
+        trade = null;
+
+        if (!continueAfterSold && (rule.disableAfterSold || !get(rule, 'strategy.in'))) {
+          enabled = false;
+        }
+      } else if (!decision.flatten && shouldFollowPrice(rule, trade, lastOrderIsBuy)) {
+        followPrice(rule, trade, price);
+      }
+    }
+
+    return {
+      trades,
+      openTrade: trade,
+      summary: this.summarize(trades, trade, bars),
+    };
+  }
+
+  /**
+   * Converts a bar into a quote shaped like the ones produced by the market data service
+   * @private
+   */
+  toQuote(rule, bar, indicatorFields) {
+    return {
+      ...bar,
+      ...indicatorFields,
+      symbol: `${rule.exchange}:${rule.symbol}`,
+      diff: bar.close - get(bar, 'open', bar.close),
+    };
+  }
+
+  /**
+   * Price an order sent on the current bar fills at, see the fill model
+   * @private
+   */
+  getFillPrice(rule, side, price, flatten) {
+    const options = getOrderOptions(rule, side, price, { useDefaults: flatten });
+    return Number(options.price || options.stopPrice || price);
+  }
+
+  /**
+   * Simulated trade, shaped like a `Trade` document
+   * @private
+   */
+  createTrade(rule, user, shares) {
+    return {
+      rule: get(rule, '_id', null),
+      user: get(rule, 'user._id', get(rule, 'user', get(user, '_id', null))),
+      completed: false,
+      riskValue: 0,
+      targetReached: false,
+      boughtShares: 0,
+      soldShares: 0,
+      sizingMode: get(rule, 'sizing.mode', 'shares'),
+      requestedShares: shares,
+      simulated: true,
+    };
+  }
+
+  /**
+   * @private
+   */
+  closeTrade(trade, price, date, reason) {
+    return {
+      ...trade,
+      sellPrice: price,
+      sellDate: date,
+      soldShares: trade.boughtShares,
+      completed: true,
+      gainPercent: ((price - trade.buyPrice) / trade.buyPrice) * 100,
+      exitReason: reason || 'Sell pattern',
+    };
+  }
+
+  /**
+   * @private
+   */
+  summarize(trades, openTrade, bars) {
+    const profits = trades.map(t => (t.sellPrice - t.buyPrice) * t.soldShares);
+    const wins = trades.filter(t => t.gainPercent > 0).length;
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+
+    profits.forEach(profit => {
+      cumulative += profit;
+      peak = Math.max(peak, cumulative);
+      maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    });
+
+    return {
+      bars: bars.length,
+      from: get(bars, '0.date', null),
+      to: get(bars, `${bars.length - 1}.date`, null),
+      totalTrades: trades.length,
+      wins,
+      losses: trades.length - wins,
+      winRate: trades.length ? (wins / trades.length) * 100 : 0,
+      netProfit: cumulative,
+      totalGainPercent: sumBy(trades, 'gainPercent'),
+      averageGainPercent: trades.length ? sumBy(trades, 'gainPercent') / trades.length : 0,
+      maxDrawdown,
+      hasOpenTrade: !!openTrade,
+    };
+  }
+}
+
+module.exports = new Backtester();
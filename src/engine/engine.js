@@ -1,16 +1,46 @@
-const { get, uniq, isString, set } = require('lodash');
+const { get, uniq, set, pick, pickBy, isFinite } = require('lodash');
 const moment = require('moment');
-const { Query } = require('mingo');
 
-const { Trade, User, queries: { getActiveRulesByFrequency, getIncompleteTrades } } = require('../models');
-const rh = require('../services/rhApiService');
-const tv = require('../services/tvApiService');
+const {
+  EngineSettings,
+  Evaluation,
+  Order,
+  Rule,
+  Trade,
+  User,
+  queries: { getActiveRulesByFrequency, getIncompleteTrades, getOpenOrdersByBrokerIds, getOpenOrders },
+} = require('../models');
+const {
+  getBroker, getUserBroker, BrokerError, ORDER_STATES, ORDER_TYPES, TIME_IN_FORCE,
+} = require('../services/brokers');
+const marketData = require('../services/marketData');
 const logger = require('../services/logService');
+const events = require('../services/eventService');
+
+const { EVENT_TYPES } = events;
+const riskManager = require('./riskManager');
+const reconciler = require('./reconciler');
+const equityTracker = require('./equityTracker');
+const {
+  buildMetadata,
+  getPatternFields,
+  isEntryMatched,
+  getRuleSession,
+  usesProtectiveStop,
+  getOrderOptions,
+  isWorkingOrder,
+  getRepricing,
+  getPositionSize,
+  applyBuyFill,
+  decide,
+  describeDecision,
+  followPrice,
+  shouldFollowPrice,
+  getOrderName,
+} = require('./strategy');
 
 const {
   assert,
-  parsePattern,
-  getValueFromPercentage,
   idToString,
   FIVE_SECONDS,
   TEN_MINUTES,
@@ -18,18 +48,35 @@ const {
   ONE_AND_A_HALF_MINUTES,
 } = require('../services/utils');
 
-// Todo: maybe move constants to `process.env.js`?
-const OVERRIDE_MARKET_CLOSE = false;
-const ENABLE_EXTENDED_HOURS = false;
-const MANUALLY_SELL_ALL = false;
-const DEBUG_MODE = true;
-const ENV = 'production';
+/**
+ * Engine lifecycle states
+ */
+const ENGINE_STATES = {
+  STOPPED: 'stopped',
+  STARTING: 'starting',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+};
 
 class Engine {
   constructor() {
+    this.state = ENGINE_STATES.STOPPED;
+    this.startedAt = null;
+    /**
+     * Scheduled loops, by name: `{ interval, pausable, handle }`
+     */
+    this.loops = new Map();
+    /**
+     * Last run of each loop, by name: `{ startedAt, finishedAt, duration, error, runs }`
+     */
+    this.cycles = {};
     this.userAccounts = new Map();
     this.orderPendingMap = new Map();
     this.marketHours = {};
+    /**
+     * Runtime settings, see `EngineSettings`. Schema defaults are used until loaded
+     */
+    this.settings = new EngineSettings().toObject();
     this.users = [];
     this.rules = {
       [FIVE_SECONDS]: [],
@@ -37,24 +84,186 @@ class Engine {
     };
   }
 
+  /**
+   * Starts the engine loops
+   * @returns {Promise<boolean>} Whether the engine started
+   */
   async start() {
+    if (this.state !== ENGINE_STATES.STOPPED) {
+      return false;
+    }
+
+    this.state = ENGINE_STATES.STARTING;
     try {
+      await this.loadSettings();
       await this.populateMarketHours();
       await this.populateAuthTokens();
+      await reconciler.run(this.users);
       await this.detectIntervalChange();
 
-      setInterval(() => this.populateMarketHours(), FIVE_SECONDS);
-      setInterval(() => this.populateAuthTokens(), ONE_AND_A_HALF_MINUTES);
-      setInterval(() => this.loadRulesAndAccounts(FIVE_SECONDS), FIVE_SECONDS);
-      setInterval(() => this.loadRulesAndAccounts(ONE_MINUTE), ONE_MINUTE);
-      setInterval(() => this.processFeeds(FIVE_SECONDS), FIVE_SECONDS);
-      setInterval(() => this.processFeeds(ONE_MINUTE), ONE_MINUTE);
-
+      this.schedule('loadSettings', () => this.loadSettings(), FIVE_SECONDS);
+      this.schedule('populateMarketHours', () => this.populateMarketHours(), FIVE_SECONDS);
+      this.schedule('populateAuthTokens', () => this.populateAuthTokens(), ONE_AND_A_HALF_MINUTES);
+      this.schedule(`loadRulesAndAccounts:${FIVE_SECONDS}`, () => this.loadRulesAndAccounts(FIVE_SECONDS), FIVE_SECONDS, true);
+      this.schedule(`loadRulesAndAccounts:${ONE_MINUTE}`, () => this.loadRulesAndAccounts(ONE_MINUTE), ONE_MINUTE, true);
+      this.schedule(`processFeeds:${FIVE_SECONDS}`, () => this.processFeeds(FIVE_SECONDS), FIVE_SECONDS, true);
+      this.schedule(`processFeeds:${ONE_MINUTE}`, () => this.processFeeds(ONE_MINUTE), ONE_MINUTE, true);
+      this.schedule('ping', () => this.ping(), ONE_MINUTE);
+      this.schedule('recordEndOfDay', () => equityTracker.recordEndOfDay(this.users, this.marketHours), ONE_MINUTE);
+
+      this.state = ENGINE_STATES.RUNNING;
+      this.startedAt = new Date();
       logger.log('Engine started.');
-      this.ping();
+      return true;
     } catch (error) {
+      this.stop();
       logger.error(error);
+      return false;
+    }
+  }
+
+  /**
+   * Stops every loop. Orders being placed are not interrupted
+   * @returns {boolean} Whether the engine stopped
+   */
+  stop() {
+    if (this.state === ENGINE_STATES.STOPPED) {
+      return false;
     }
+
+    this.loops.forEach(({ handle }) => clearInterval(handle));
+    this.loops.clear();
+    this.state = ENGINE_STATES.STOPPED;
+    this.startedAt = null;
+    logger.log('Engine stopped.');
+    return true;
+  }
+
+  /**
+   * Pauses rule processing. Settings, market hours and tokens keep being refreshed
+   * @returns {boolean} Whether the engine paused
+   */
+  pause() {
+    if (this.state !== ENGINE_STATES.RUNNING) {
+      return false;
+    }
+
+    this.state = ENGINE_STATES.PAUSED;
+    logger.log('Engine paused.');
+    return true;
+  }
+
+  /**
+   * Resumes rule processing after a pause
+   * @returns {boolean} Whether the engine resumed
+   */
+  resume() {
+    if (this.state !== ENGINE_STATES.PAUSED) {
+      return false;
+    }
+
+    this.state = ENGINE_STATES.RUNNING;
+    logger.log('Engine resumed.');
+    return true;
+  }
+
+  /**
+   * Runs a loop every interval, tracking when it last ran and how long it took
+   * @param name
+   * @param fn
+   * @param interval
+   * @param pausable - Whether the loop is skipped while the engine is paused
+   */
+  schedule(name, fn, interval, pausable = false) {
+    const handle = setInterval(async () => {
+      if (pausable && this.state === ENGINE_STATES.PAUSED) {
+        return;
+      }
+
+      const cycle = this.cycles[name] || { runs: 0 };
+      const startedAt = new Date();
+      this.cycles[name] = { ...cycle, startedAt };
+
+      try {
+        await fn();
+        this.cycles[name] = { ...this.cycles[name], error: null };
+      } catch (error) {
+        logger.error(error);
+        this.cycles[name] = { ...this.cycles[name], error: error.message };
+      }
+
+      const finishedAt = new Date();
+      this.cycles[name] = { ...this.cycles[name], finishedAt, duration: finishedAt - startedAt, runs: cycle.runs + 1 };
+    }, interval);
+
+    this.loops.set(name, { interval, pausable, handle });
+  }
+
+  /**
+   * Engine status: lifecycle state, market hours, loaded rules and users, pending orders and loops
+   * @returns {Object}
+   */
+  getStatus() {
+    const marketHours = this.marketHours;
+
+    return {
+      state: this.state,
+      startedAt: this.startedAt,
+      halted: !!this.settings.halted,
+      haltReason: this.settings.haltReason || null,
+      marketHours: {
+        isOpenNow: !!marketHours.isOpenNow,
+        isExtendedOpenNow: !!marketHours.isExtendedOpenNow,
+        isMarketOpenToday: !!marketHours.isMarketOpenToday,
+        opensAt: marketHours.opensAt || null,
+        closesAt: marketHours.closesAt || null,
+        extendedOpensAt: marketHours.extendedOpensAt || null,
+        extendedClosesAt: marketHours.extendedClosesAt || null,
+        secondsLeftToMarketClosed: marketHours.secondsLeftToMarketClosed || 0,
+        secondsLeftToExtendedMarketClosed: marketHours.secondsLeftToExtendedMarketClosed || 0,
+      },
+      rules: Object.keys(this.rules).reduce((rules, frequency) => ({
+        ...rules,
+        [frequency]: this.rules[frequency].map(({ _id, name, symbol, enabled }) => ({ id: _id, name, symbol, enabled })),
+      }), {}),
+      users: this.users.map(user => ({
+        id: user._id,
+        username: user.username,
+        broker: getUserBroker(user).name,
+        authenticated: !!user.token,
+        accountLoadedAt: get(this.userAccounts.get(user._id.toString()), 'date', null),
+      })),
+      pendingOrders: [...this.orderPendingMap.keys()].map(ruleId => ({ rule: ruleId })),
+      loops: [...this.loops.entries()].map(([name, { interval, pausable }]) => ({
+        name,
+        interval,
+        pausable,
+        ...this.cycles[name],
+      })),
+    };
+  }
+
+  /**
+   * Health used by process supervisors. Unhealthy when the database is disconnected, or when a running loop
+   * did not finish a cycle within three intervals
+   * @param dbConnected
+   * @returns {{ healthy: boolean, state: string, checks: Object }}
+   */
+  getHealth(dbConnected) {
+    const now = new Date();
+    const staleLoops = [...this.loops.entries()]
+      .filter(([name, { pausable }]) => !(pausable && this.state === ENGINE_STATES.PAUSED) && this.cycles[name])
+      .filter(([name, { interval }]) => now - new Date(this.cycles[name].finishedAt || this.cycles[name].startedAt) > interval * 3)
+      .map(([name]) => name);
+
+    return {
+      healthy: dbConnected && !staleLoops.length,
+      state: this.state,
+      checks: {
+        database: dbConnected,
+        staleLoops,
+      },
+    };
   }
 
   /**
@@ -66,11 +275,11 @@ class Engine {
    * - Get fresh user orders
    * @returns {Promise<void>}
    */
-  async loadRulesAndAccounts(frequency, overrideMarketClosed = OVERRIDE_MARKET_CLOSE) {
-    const { isExtendedClosedNow, isClosedNow } = this.marketHours;
-    const isMarketClosed = ENABLE_EXTENDED_HOURS ? isExtendedClosedNow : isClosedNow;
+  async loadRulesAndAccounts(frequency, overrideMarketClosed = this.settings.overrideMarketClose) {
+    const { isExtendedClosedNow } = this.marketHours;
 
-    if (!overrideMarketClosed && isClosedNow && isMarketClosed) {
+    // Extended hours are decided per rule, see @method processFeeds
+    if (!overrideMarketClosed && isExtendedClosedNow) {
       return;
     }
 
@@ -80,7 +289,7 @@ class Engine {
 
     // Populate refId if not ready
     allRules.forEach(async rule => {
-      if (!(rule.refId && rule.instrumentId && rule.instrumentUrl)) {
+      if (!(rule.refId && rule.instrumentId)) {
         await rule.save();
       }
     });
@@ -91,16 +300,17 @@ class Engine {
 
       // Refresh account only after 10 mins
       if (!userAccount || (((new Date()) - new Date(userAccount.date)) >= TEN_MINUTES)) {
-        return rh.getAccount(user)
+        return getUserBroker(user).getAccount(user)
           .then(account => {
             this.users[index].account = account;
             this.userAccounts.set(user._id.toString(), { account, date: new Date() });
+            return equityTracker.record(this.users[index], account);
           });
       }
     }).filter(a => a);
 
     // Append user positions
-    const positionPromises = this.users.map((user, index) => rh.getPositions(user)
+    const positionPromises = this.users.map((user, index) => getUserBroker(user).getPositions(user)
       .then(positions => this.users[index].positions = positions));
 
     // Append rule orders by refId
@@ -120,28 +330,51 @@ class Engine {
 
   async processFeeds(frequency) {
     try {
-      const { isExtendedClosedNow, secondsLeftToExtendedMarketClosed, isClosedNow, secondsLeftToMarketClosed } = this.marketHours;
-      const isMarketClosed = ENABLE_EXTENDED_HOURS ? isExtendedClosedNow : isClosedNow;
-      const secondsToMarketClosed = ENABLE_EXTENDED_HOURS ? secondsLeftToExtendedMarketClosed : secondsLeftToMarketClosed;
+      const { isExtendedClosedNow } = this.marketHours;
+      const { overrideMarketClose, extendedHoursEnabled, manuallySellAll, debugMode } = this.settings;
       this.rules[frequency] = this.rules[frequency].filter(r => r.enabled && !this.orderPendingMap.has(r._id.toString()));
       const rules = this.rules[frequency];
 
-      if ((!OVERRIDE_MARKET_CLOSE && isMarketClosed) || !rules.length) {
+      if ((!overrideMarketClose && isExtendedClosedNow) || !rules.length) {
         return;
       }
 
       const symbols = uniq(rules.map(r => `${r.exchange}:${r.symbol}`));
-      const [quotes, trades] = await Promise.all([tv.getQuotes(...symbols), getIncompleteTrades()]);
+      const context = {
+        users: this.users,
+        frequency,
+        indicators: this.getIndicatorSpecs(rules),
+        historySizes: this.getHistorySizes(rules),
+      };
+      const [quotes, trades] = await Promise.all([marketData.getQuotes(symbols, context), getIncompleteTrades()]);
       const promises = [];
 
       rules.forEach(async (rule, ruleIndex) => {
+        // Outcome of the rule on this cycle, recorded once done
+        const evaluation = { rule: rule._id, user: rule.user._id, symbol: rule.symbol, decision: 'skip' };
+
         try {
           const userId = rule.user._id.toString();
           const user = this.users.find(u => userId === u._id);
           assert(user, `User ${rule.user._id} not found in rule ${rule._id}`);
 
+          // Rules are evaluated during their own session, regular or extended hours
+          const session = getRuleSession(rule, user, this.marketHours, extendedHoursEnabled);
+          if (!overrideMarketClose && !session.isOpen) {
+            evaluation.reason = 'Outside trading session';
+            return;
+          }
+          const closingSoon = !overrideMarketClose && session.secondsToClose < 30;
+
           const quote = quotes.find(q => q.symbol === `${rule.exchange}:${rule.symbol}`);
           assert(quote, `Quote for ${rule.symbol} not found`);
+          try {
+            // Resolved like `decide` does, legacy patterns may hold rule and user placeholders
+            evaluation.quote = pickBy(pick(quote, getPatternFields(rule, buildMetadata(rule, user, quote))), isFinite);
+          } catch (error) {
+            // The quote snapshot must never abort the evaluation
+            logger.warn(`Failed to snapshot quote for rule ${rule.name}. ${error.message}`, { rule, symbol: rule.symbol });
+          }
 
           let trade = trades.find(trade => rule._id.equals(trade.rule));
           let lastOrderIsSell = !trade;
@@ -151,6 +384,23 @@ class Engine {
            * Trade management
            */
           if (trade) {
+            // Protective stops become the sell order of the trade once filled, and are placed again once gone
+            if (trade.stopOrderId && !trade.sellOrderId) {
+              let stopOrder = get(rule, 'orders', []).find(({ id }) => id === trade.stopOrderId);
+              if (!stopOrder) {
+                stopOrder = await getUserBroker(user).getOrder(user, trade.stopOrderId);
+                await this.syncOrders([stopOrder]);
+              }
+
+              const stopState = get(stopOrder, 'state');
+              if ([ORDER_STATES.PARTIALLY_FILLED, ORDER_STATES.FILLED].includes(stopState)) {
+                trade.sellOrderId = trade.stopOrderId;
+                trade.stopOrderId = undefined;
+              } else if ([ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED].includes(stopState)) {
+                trade.stopOrderId = undefined;
+              }
+            }
+
             const lastOrderId = get(trade, 'sellOrderId') || get(trade, 'buyOrderId');
             assert(lastOrderId, `Trade without sellOrderId or buyOrderId found. Id: ${trade._id}`);
 
@@ -159,33 +409,38 @@ class Engine {
               // Get fresh rule orders
               [rule.orders, lastOrder] = await Promise.all([
                 this.getRuleOrders(user, rule),
-                rh.getOrder(lastOrderId, user),
+                getUserBroker(user).getOrder(user, lastOrderId),
               ]);
+              await this.syncOrders([lastOrder]);
             }
             assert(lastOrder, `Fatal error. Order not found for order id: ${lastOrderId} and trade id: ${trade._id}`);
 
-            const lastOrderIsFilled = ['partially_filled', 'filled'].includes(get(lastOrder, 'state'));
+            const lastOrderIsFilled = [ORDER_STATES.PARTIALLY_FILLED, ORDER_STATES.FILLED].includes(get(lastOrder, 'state'));
+            const mustSellNow = manuallySellAll || (closingSoon && !rule.holdOvernight);
             lastOrderIsSell = lastOrderId === get(trade, 'sellOrderId');
             lastOrderIsBuy = lastOrderId === get(trade, 'buyOrderId');
+            // Unfilled stop entries are canceled once the buy pattern no longer matches
+            const entryLapsed = lastOrderIsBuy && !lastOrderIsFilled && isWorkingOrder(lastOrder) &&
+              get(lastOrder, 'type') !== ORDER_TYPES.MARKET && !isEntryMatched(rule, buildMetadata(rule, user, quote));
+            const repricing = lastOrderIsFilled || mustSellNow || entryLapsed ?
+              { action: 'cancel' } :
+              getRepricing(rule, trade, lastOrder, quote.close, { limitOnly: session.isExtended });
 
             if (lastOrderIsFilled) {
-              const price = Number(get(lastOrder, 'average_price'));
-              const date = new Date(get(lastOrder, 'updated_at'));
+              const price = get(lastOrder, 'averagePrice');
+              const date = get(lastOrder, 'updatedAt');
 
               if (lastOrderIsBuy && !trade.buyPrice) {
-                trade.buyPrice = price;
-                trade.buyDate = date;
-                trade.riskValue = getValueFromPercentage(price, rule.limits.riskPercentage, 'risk');
-                trade.profitValue = getValueFromPercentage(price, rule.limits.profitPercentage, 'profit');
-                trade.boughtShares = Number(get(lastOrder, 'cumulative_quantity'));
+                applyBuyFill(rule, trade, price, date, get(lastOrder, 'filledQuantity'));
+                events.tradeOpened(trade, rule.symbol);
 
                 // Partially filled buy orders will cancel unfilled shares
-                if (trade.boughtShares < rule.quantity) {
+                if (trade.boughtShares < trade.requestedShares) {
                   const canceledSuccessfully = await this.cancelLastOrder(user, lastOrder, rule.symbol, rule.name);
                   assert(canceledSuccessfully, `Failed to cancel partial buy order: ${lastOrder.id}`);
                 }
               } else if (lastOrderIsSell) {
-                trade.soldShares = Number(get(lastOrder, 'cumulative_quantity'));
+                trade.soldShares = get(lastOrder, 'filledQuantity');
 
                 // Partially filled sell orders will cancel unfilled shares and try to resell
                 if (trade.soldShares < trade.boughtShares) {
@@ -198,6 +453,7 @@ class Engine {
 
                   // Save and close trade
                   await trade.save();
+                  events.tradeClosed(trade, rule.symbol);
 
                   // Reset trade vars
                   trade = null;
@@ -209,15 +465,38 @@ class Engine {
                     this.rules[frequency][ruleIndex].enabled = false;
                     await rule.save();
 
+                    evaluation.reason = 'Trade closed, rule disabled';
                     return;
                   }
                 }
               }
             }
+            // Market and stop orders are left working until filled, unless all shares must be sold now
+            else if (isWorkingOrder(lastOrder) && !mustSellNow && !entryLapsed) {
+              Object.assign(evaluation, { decision: 'wait', reason: 'Order pending' });
+              return;
+            }
+            // Limit orders are chased based on the rule policy, unless all shares must be sold now
+            else if (repricing.action !== 'cancel') {
+              if (repricing.action === 'reprice') {
+                promises.push(this.repriceOrder({ user, rule, trade, order: lastOrder, repricing, extendedHours: session.isExtended }));
+                Object.assign(evaluation, { decision: 'reprice', reason: `Order repriced, attempt ${repricing.attempt}` });
+              } else {
+                Object.assign(evaluation, { decision: 'wait', reason: 'Order pending' });
+              }
+              return;
+            }
             // Cancel pending(non-filled) order
             else {
               const canceledSuccessfully = await this.cancelLastOrder(user, lastOrder, rule.symbol, rule.name);
               assert(canceledSuccessfully, `Failed to cancel order: ${lastOrder.id}`);
+              let reason = 'Order canceled';
+              if (mustSellNow) {
+                reason = 'Order canceled to sell now';
+              } else if (entryLapsed) {
+                reason = 'Order canceled, buy pattern not matched';
+              }
+              Object.assign(evaluation, { decision: 'cancel', reason });
 
               if (lastOrderIsBuy) {
                 // Clean up trade after canceled order
@@ -238,7 +517,7 @@ class Engine {
             }
           }
 
-          if (DEBUG_MODE) {
+          if (debugMode) {
             logger.logMeta(trade, quote, rule);
           }
 
@@ -251,96 +530,65 @@ class Engine {
             // When boughtShares is populated, we want to sell that same number
             numberOfShares = get(trade, 'boughtShares');
           } else {
-            // No trade yet, get number of shares from rule
-            numberOfShares = get(rule, 'numberOfShares');
+            // No trade yet, get number of shares from the rule sizing
+            numberOfShares = getPositionSize(rule, quote.close, user.account);
           }
 
-          const { symbol, holdOvernight } = rule;
+          const { symbol } = rule;
           const price = quote.close;
-          const metadata = { ...rule.toObject(), ...user, ...quote };
-          const buyQuery = new Query(parsePattern(get(rule, 'strategy.in.query'), metadata, false));
-          const sellQuery = new Query(parsePattern(get(rule, 'strategy.out.query'), metadata, true));
-          assert(buyQuery.__criteria || sellQuery.__criteria, `No strategy found for rule ${rule._id}`);
-
-          const riskValue = get(trade, 'riskValue', 0);
-          const profitValue = get(trade, 'profitValue', null);
-          const riskPriceReached = riskValue > price;
-          const profitPriceReached = profitValue && profitValue < price;
+          const metadata = buildMetadata(rule, user, quote);
           const commonOptions = { user, symbol, price, numberOfShares, rule, trade };
+          const decision = decide({
+            rule,
+            trade,
+            metadata,
+            price,
+            lastOrderIsBuy,
+            lastOrderIsSell,
+            closingSoon,
+            sellAll: manuallySellAll,
+          });
+          Object.assign(evaluation, {
+            trade: get(trade, '_id'),
+            patterns: decision.patterns,
+            riskValue: get(trade, 'riskValue'),
+            profitValue: get(trade, 'profitValue'),
+            decision: decision.side || (lastOrderIsBuy ? 'hold' : 'wait'),
+            reason: describeDecision(decision, lastOrderIsBuy),
+          });
 
-          /**
-           * End of day is approaching (4PM EST), sell all shares in the last 30sec if rule is not holding overnight
-           */
-          if (MANUALLY_SELL_ALL || !OVERRIDE_MARKET_CLOSE &&
-            (secondsToMarketClosed < 30 && !holdOvernight)) {
-            if (lastOrderIsBuy) {
-              promises.push(this.placeOrder({
-                ...commonOptions,
-                side: 'sell',
-                name: `${get(rule, 'name')}(${MANUALLY_SELL_ALL ? 'Manual sell' : 'Sell before market is closed'})`,
-              }));
-            }
-            // Exit at this point
-            return;
-          }
-
-          /**
-           * BUY pattern
-           */
-          if (lastOrderIsSell && buyQuery.test(metadata)) {
+          if (decision.side) {
             promises.push(this.placeOrder({
               ...commonOptions,
-              side: 'buy',
-              name: get(rule, 'name'),
+              side: decision.side,
+              name: getOrderName(rule, decision.reason),
+              flatten: decision.flatten,
+              extendedHours: session.isExtended,
             }));
           }
 
+          // Exit at this point when selling before market is closed
+          if (decision.flatten) {
+            return;
+          }
+
           /**
-           * SELL pattern
+           * Protective stop, working at the broker from the buy fill until the trade is closed.
+           * Stops found canceled on this cycle are placed again on the next one, once the trade is saved
            */
-          else if (lastOrderIsBuy && (riskPriceReached || profitPriceReached || sellQuery.test(metadata))) {
-            let name = get(rule, 'name');
-
-            if (riskPriceReached) {
-              name += '(Risk reached)';
-            } else if (profitPriceReached) {
-              name += '(Profit reached)';
-            }
-
-            promises.push(this.placeOrder({
-              ...commonOptions,
-              side: 'sell',
-              name,
-            }));
+          if (!decision.side && lastOrderIsBuy && get(trade, 'buyPrice') && !trade.stopOrderId &&
+            !trade.isModified('stopOrderId') && usesProtectiveStop(rule) && !session.isExtended) {
+            promises.push(this.placeProtectiveStop({ user, rule, trade }));
           }
 
           /**
            * Follow price logic
            */
-          else if (lastOrderIsBuy && get(trade, 'buyPrice') && rule.limits.followPrice.enabled) {
-            const buyPrice = get(trade, 'buyPrice');
-            const realizedGainPerc = ((price - buyPrice) / buyPrice) * 100;
-            const { riskPercentage, followPrice } = rule.limits;
-            const { targetPercentage, riskPercentageAfterTargetReached } = followPrice;
-
-            if (!trade.targetReached && targetPercentage <= realizedGainPerc) {
-              trade.targetReached = true;
-            }
-
-            if (trade.targetReached) {
-              // Target price is reached, use riskPercentageAfterTargetReached as new risk limit
-              const newRiskValue = getValueFromPercentage(price, riskPercentageAfterTargetReached, 'risk');
-              // Increase risk value only if the new risk is higher
-              if (newRiskValue > riskValue) {
-                trade.riskValue = newRiskValue;
-              }
-            } else if (realizedGainPerc > (riskPercentage / 2)) {
-              // Gains are higher than half the risk taken
-              const newRiskValue = getValueFromPercentage(price, riskPercentage, 'risk');
-              // Increase risk value only if the new risk is higher
-              if (newRiskValue > riskValue) {
-                trade.riskValue = newRiskValue;
-              }
+          if (!decision.side && shouldFollowPrice(rule, trade, lastOrderIsBuy)) {
+            const { riskValue } = trade;
+            followPrice(rule, trade, price);
+            if (trade.riskValue !== riskValue) {
+              Object.assign(evaluation, { decision: 'follow', reason: 'Price followed', riskValue: trade.riskValue });
             }
           }
 
@@ -348,7 +596,10 @@ class Engine {
             promises.push(trade.save());
           }
         } catch (error) {
-          logger.error(error);
+          Object.assign(evaluation, { decision: 'error', reason: error.message });
+          logger.error(error, '', { user: rule.user, rule, symbol: rule.symbol });
+        } finally {
+          this.recordEvaluation(evaluation);
         }
       });
 
@@ -360,6 +611,34 @@ class Engine {
     return Promise.resolve();
   }
 
+  /**
+   * Collects the extra indicators requested by rules, by symbol
+   * @param rules
+   * @returns {Object} e.g. `{ 'NASDAQ:AAPL': ['ema:9'] }`
+   */
+  getIndicatorSpecs(rules) {
+    return rules.reduce((specs, rule) => {
+      const symbol = `${rule.exchange}:${rule.symbol}`;
+      specs[symbol] = uniq([...get(specs, symbol, []), ...get(rule, 'indicators', [])]);
+      return specs;
+    }, {});
+  }
+
+  /**
+   * Collects the largest quote history window requested by rules, by symbol
+   * @param rules
+   * @returns {Object} e.g. `{ 'NASDAQ:AAPL': 20 }`
+   */
+  getHistorySizes(rules) {
+    return rules
+      .filter(rule => rule.historySize)
+      .reduce((sizes, rule) => {
+        const symbol = `${rule.exchange}:${rule.symbol}`;
+        sizes[symbol] = Math.max(get(sizes, symbol, 0), rule.historySize);
+        return sizes;
+      }, {});
+  }
+
   /**
    * Helper function to fetch orders associated with a rule
    * @note Move into a helper service
@@ -368,17 +647,107 @@ class Engine {
    * @returns {Promise<PromiseLike | never>}
    */
   getRuleOrders(user, rule) {
-    return rh.getOrders(user)
+    return getUserBroker(user).getOrders(user)
       .then((orders = []) => orders
-        .filter(o => isString(o.ref_id) && o.ref_id.endsWith(rule.refId)))
+        .filter(o => o.refId && o.refId.endsWith(rule.refId)))
+      .then(orders => this.syncOrders(orders).then(() => orders))
       .catch(error => {
-        if (get(error, 'message').includes('Request was throttled')) {
+        if (error.code === BrokerError.THROTTLED) {
           return [];
         }
         logger.error(error);
       });
   }
 
+  /**
+   * Updates the persisted orders from the broker orders
+   * @param brokerOrders - Normalized broker orders
+   * @returns {Promise}
+   */
+  async syncOrders(brokerOrders = []) {
+    const ids = brokerOrders.filter(o => o).map(o => o.id);
+    if (!ids.length) {
+      return;
+    }
+
+    const orders = await getOpenOrdersByBrokerIds(ids);
+    await Promise.all(orders.map(async order => {
+      const previousState = order.state;
+      try {
+        order.applyBrokerOrder(brokerOrders.find(o => o && o.id === order.brokerId));
+      } catch (error) {
+        logger.error(error, '', { user: order.user, rule: order.rule, trade: order.trade, symbol: order.symbol });
+        return;
+      }
+      if (!order.isModified()) {
+        return;
+      }
+
+      await order.save();
+      if (order.state !== previousState) {
+        if (order.state === ORDER_STATES.FILLED) {
+          events.order(EVENT_TYPES.ORDER_FILLED, order);
+        } else if (order.state === ORDER_STATES.CANCELLED) {
+          events.order(EVENT_TYPES.ORDER_CANCELLED, order);
+        }
+      }
+    }));
+  }
+
+  /**
+   * Stores the outcome of a rule on a cycle and publishes it to the event stream
+   * @param evaluation - See `Evaluation`
+   */
+  recordEvaluation(evaluation) {
+    const doc = new Evaluation(evaluation);
+    events.ruleEvaluated(doc);
+    doc.save()
+      .catch(error => logger.warn(`Failed to record evaluation. ${error.message}`, { rule: evaluation.rule }));
+  }
+
+  /**
+   * Builds the persisted order for an order about to be submitted
+   * @param user
+   * @param rule
+   * @param trade
+   * @param options - Same options given to the broker `placeOrder`
+   * @returns {Order}
+   */
+  createOrder(user, rule, trade, options) {
+    return new Order({
+      user: user._id,
+      rule: rule._id,
+      trade: get(trade, '_id'),
+      broker: getUserBroker(user).name,
+      refId: options.refId,
+      symbol: options.symbol,
+      side: options.side,
+      type: options.type,
+      timeInForce: options.timeInForce,
+      price: options.price,
+      stopPrice: options.stopPrice,
+      trailPercent: options.trailPercent,
+      quantity: options.quantity,
+    });
+  }
+
+  /**
+   * Marks a persisted order as rejected when the broker refused it
+   * @param orderDoc
+   * @param error
+   * @returns {Promise}
+   */
+  rejectOrder(orderDoc, error) {
+    if (orderDoc.brokerId || orderDoc.isFinal()) {
+      return Promise.resolve();
+    }
+
+    orderDoc.reason = get(error, 'message', String(error));
+    orderDoc.transition(ORDER_STATES.REJECTED);
+    return orderDoc.save()
+      .catch(saveError => logger.error(saveError));
+  }
+
   /**
    * Cancels pending order
    * @param user
@@ -388,14 +757,14 @@ class Engine {
    * @returns {Promise}
    */
   cancelLastOrder(user, lastOrder, symbol, name) {
-    if (['canceled', 'cancelled'].includes(get(lastOrder, 'state'))) {
+    if (get(lastOrder, 'state') === ORDER_STATES.CANCELLED) {
       return Promise.resolve(true);
     }
 
-    if (get(lastOrder, 'state') !== 'filled' && get(lastOrder, 'cancel')) {
-      return rh.postWithAuth(user, lastOrder.cancel)
+    if (![ORDER_STATES.FILLED, ORDER_STATES.REJECTED].includes(get(lastOrder, 'state'))) {
+      return getUserBroker(user).cancelOrder(user, lastOrder)
         .then(json => {
-          logger.orderCanceled({ ...lastOrder, symbol, name, json });
+          logger.orderCanceled({ ...lastOrder, symbol, name, json }, { user });
           return true;
         })
         .catch(() => false);
@@ -405,7 +774,249 @@ class Engine {
   }
 
   /**
-   * Cancels pending orders and places sell order
+   * Replaces an unfilled order following the rule chase policy, and records the repricing on the trade
+   * @param user
+   * @param rule
+   * @param trade
+   * @param order - Unfilled order
+   * @param repricing - See `strategy.getRepricing`
+   * @param extendedHours - Whether the order is sent during pre or post market
+   * @returns {Promise}
+   */
+  repriceOrder({ user, rule, trade, order, repricing, extendedHours = false }) {
+    const ruleId = rule._id.toString();
+    if (this.orderPendingMap.has(ruleId)) {
+      return Promise.resolve();
+    }
+
+    const options = {
+      account: get(user, 'account'),
+      quantity: order.quantity,
+      price: repricing.price,
+      symbol: rule.symbol,
+      side: order.side,
+      instrumentId: rule.instrumentId,
+      instrumentUrl: rule.instrumentUrl,
+      timeInForce: order.timeInForce,
+      type: repricing.type,
+      extendedHours,
+      overrideDayTradeChecks: rule.overrideDayTradeChecks,
+      refId: rule.UUID()
+    };
+    const orderDoc = this.createOrder(user, rule, trade, options);
+    const promise = orderDoc.save()
+      .then(() => getUserBroker(user).replaceOrder(user, order, options))
+      .then(async newOrder => {
+        orderDoc.applyBrokerOrder(newOrder);
+        await Order.updateOne({ brokerId: order.id }, { replacedBy: orderDoc._id });
+        await orderDoc.save();
+
+        logger.orderRepriced(
+          { ...repricing, symbol: rule.symbol, side: order.side, name: rule.name, previousPrice: order.price },
+          { user, rule, trade }
+        );
+
+        trade.repricings.push({
+          side: order.side,
+          previousOrderId: order.id,
+          previousPrice: order.price,
+          orderId: newOrder.id,
+          price: repricing.price,
+          type: repricing.type,
+          attempt: repricing.attempt,
+        });
+        trade.orders.push(orderDoc._id);
+        if (order.side === 'buy') {
+          trade.buyOrderId = newOrder.id;
+        } else {
+          trade.sellOrderId = newOrder.id;
+        }
+
+        this.orderPendingMap.delete(ruleId);
+        return trade.save();
+      })
+      .catch(error => {
+        this.orderPendingMap.delete(ruleId);
+        this.rejectOrder(orderDoc, error);
+        logger.error({ message: `Failed to reprice order ${order.id} for rule ${rule.name}` }, error, { user, rule, trade });
+      });
+
+    this.orderPendingMap.set(ruleId, promise);
+    return promise;
+  }
+
+  /**
+   * Places the stop or trailing stop protecting a trade, see `strategy.usesProtectiveStop`. It stays working at the
+   * broker until it fills or the engine sells, see @method cancelProtectiveStop
+   * @param user
+   * @param rule
+   * @param trade - Trade holding shares
+   * @returns {Promise}
+   */
+  placeProtectiveStop({ user, rule, trade }) {
+    const ruleId = rule._id.toString();
+    if (this.orderPendingMap.has(ruleId)) {
+      return Promise.resolve();
+    }
+
+    const options = {
+      ...getOrderOptions(rule, 'sell', trade.buyPrice, { protective: true }),
+      account: get(user, 'account'),
+      quantity: (trade.boughtShares || 0) - (trade.soldShares || 0),
+      symbol: rule.symbol,
+      side: 'sell',
+      instrumentId: rule.instrumentId,
+      instrumentUrl: rule.instrumentUrl,
+      overrideDayTradeChecks: rule.overrideDayTradeChecks,
+      refId: rule.UUID()
+    };
+    const name = getOrderName(rule, 'Protective stop');
+    const orderDoc = this.createOrder(user, rule, trade, options);
+    const promise = orderDoc.save()
+      .then(() => getUserBroker(user).placeOrder(user, options))
+      .then(async order => {
+        logger.orderPlaced({ symbol: rule.symbol, ...order, price: order.stopPrice || trade.buyPrice, name }, { user, rule, trade });
+
+        orderDoc.applyBrokerOrder(order);
+        await orderDoc.save();
+        events.order(EVENT_TYPES.ORDER_PLACED, orderDoc);
+
+        // The trade may be saved by the current cycle meanwhile
+        await Trade.updateOne({ _id: trade._id }, { stopOrderId: order.id, $push: { orders: orderDoc._id } });
+        this.orderPendingMap.delete(ruleId);
+      })
+      .catch(error => {
+        this.orderPendingMap.delete(ruleId);
+        this.rejectOrder(orderDoc, error);
+        logger.error({ message: `Failed to place order for rule ${name}. ${error.message}` }, '', { user, rule, trade, symbol: rule.symbol });
+      });
+
+    this.orderPendingMap.set(ruleId, promise);
+    return promise;
+  }
+
+  /**
+   * Cancels the protective stop of a trade before the engine sells its shares
+   * @param user
+   * @param rule
+   * @param trade
+   * @returns {Promise} Rejects when the stop is not canceled, e.g. once it filled
+   */
+  async cancelProtectiveStop(user, rule, trade) {
+    const canceledSuccessfully = await this.cancelLastOrder(user, { id: trade.stopOrderId }, rule.symbol, rule.name);
+
+    if (!canceledSuccessfully) {
+      // Already canceled stops can't be canceled again, e.g. on liquidations
+      const stopOrder = await getUserBroker(user).getOrder(user, trade.stopOrderId);
+      await this.syncOrders([stopOrder]);
+      assert(get(stopOrder, 'state') === ORDER_STATES.CANCELLED, `Failed to cancel protective stop: ${trade.stopOrderId}`);
+    }
+
+    trade.stopOrderId = undefined;
+  }
+
+  /**
+   * Cancels the open orders submitted by the engine
+   * @param filter - `{ user, rule }` ids, every open order when empty
+   * @returns {Promise<Object[]>} Outcome by order: cancelled or failed
+   */
+  async cancelOpenOrders(filter = {}) {
+    const orders = await getOpenOrders(filter);
+
+    return Promise.all(orders.map(async order => {
+      const result = { order: order._id, brokerId: order.brokerId, rule: order.rule, side: order.side };
+      const user = this.users.find(u => u._id === order.user.toString());
+
+      if (!user) {
+        return { ...result, outcome: 'failed', reason: 'User not loaded by the engine' };
+      }
+
+      try {
+        await getUserBroker(user).cancelOrder(user, { id: order.brokerId });
+        return { ...result, outcome: 'cancelled' };
+      } catch (error) {
+        return { ...result, outcome: 'failed', reason: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Cancels the open engine orders and sells every share held by the engine trades. New entries are stopped first,
+   * see @method stopEntries
+   * @param filter - `{ user, rule }` ids, every trade when empty
+   * @returns {Promise<Object[]>} Outcome by rule: order_placed, failed or nothing_to_sell
+   */
+  async liquidate(filter = {}) {
+    await this.stopEntries(filter);
+    const cancelled = await this.cancelOpenOrders(filter);
+    const trades = await Trade.find({ ...filter, completed: false }).populate('rule');
+
+    return Promise.all(trades.map(async trade => {
+      const { rule } = trade;
+      const result = {
+        rule: get(rule, '_id', trade.rule),
+        name: get(rule, 'name'),
+        symbol: get(rule, 'symbol'),
+        trade: trade._id,
+        cancelledOrders: cancelled.filter(o => rule && rule._id.equals(o.rule) && o.outcome === 'cancelled').length,
+      };
+      const shares = (trade.boughtShares || 0) - (trade.soldShares || 0);
+      const user = this.users.find(u => u._id === trade.user.toString());
+
+      if (!(shares > 0)) {
+        return { ...result, outcome: 'nothing_to_sell' };
+      }
+      if (!rule || !user) {
+        return { ...result, outcome: 'failed', reason: rule ? 'User not loaded by the engine' : 'Rule not found' };
+      }
+
+      try {
+        const [quote] = await marketData.peekQuotes([`${rule.exchange}:${rule.symbol}`], { users: this.users });
+        const session = getRuleSession(rule, user, this.marketHours, this.settings.extendedHoursEnabled);
+        const { placed, order, reason } = await this.placeOrder({
+          side: 'sell',
+          user,
+          symbol: rule.symbol,
+          price: get(quote, 'close'),
+          numberOfShares: shares,
+          rule,
+          name: getOrderName(rule, 'Liquidation'),
+          trade,
+          liquidate: true,
+          extendedHours: session.isExtended,
+        });
+
+        return placed ?
+          { ...result, outcome: 'order_placed', orderId: order.id, shares } :
+          { ...result, outcome: 'failed', reason };
+      } catch (error) {
+        return { ...result, outcome: 'failed', reason: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Keeps liquidated rules and users from entering again: the rule is disabled, or the entries of the users are
+   * halted for the rest of the day, see `riskManager.halt`
+   * @param filter - See @method liquidate
+   * @returns {Promise}
+   */
+  async stopEntries(filter = {}) {
+    if (filter.rule) {
+      await Rule.updateOne({ _id: filter.rule }, { enabled: false });
+      Object.values(this.rules).forEach(rules => rules
+        .filter(rule => rule._id.equals(filter.rule))
+        .forEach(rule => rule.enabled = false));
+      return;
+    }
+
+    this.users
+      .filter(user => !filter.user || user._id === String(filter.user))
+      .forEach(user => riskManager.halt(user, 'Positions liquidated'));
+  }
+
+  /**
+   * Cancels pending orders and places sell order. Sells cancel the protective stop of the trade first
    * @param side
    * @param user
    * @param name
@@ -414,57 +1025,90 @@ class Engine {
    * @param numberOfShares
    * @param rule
    * @param trade
-   * @returns {Promise}
+   * @param flatten - Whether all shares must be sold right away, ignoring the rule order settings
+   * @param liquidate - Whether to sell with a market order, or a day limit order during pre and post market
+   * @param extendedHours - Whether the order is sent during pre or post market
+   * @returns {Promise<{ placed: boolean, order: (Order|undefined), reason: (string|undefined) }>}
    */
-  async placeOrder({ side, user, symbol, price, numberOfShares, rule, name, trade }) {
+  async placeOrder({
+    side, user, symbol, price, numberOfShares, rule, name, trade, flatten = false, liquidate = false, extendedHours = false,
+  }) {
     const ruleId = rule._id.toString();
     if (!ruleId || this.orderPendingMap.has(ruleId)) {
-      return;
+      return { placed: false, reason: 'An order is already being placed for this rule' };
     }
 
-    let finalPrice;
-    if (side === 'buy') {
-      // Buy 0.01% higher than market price to get an easier fill
-      finalPrice = (Number(price) * 1.0001).toFixed(2).toString();
-    } else {
-      // Sell 0.01% lower than market price to get an easier fill
-      finalPrice = (Number(price) * 0.9999).toFixed(2).toString();
+    if (!(numberOfShares >= 1)) {
+      logger.error({ message: `Order not placed for rule ${name}. Invalid number of shares: ${numberOfShares}` }, '', { user, rule, trade, symbol });
+      return { placed: false, reason: `Invalid number of shares: ${numberOfShares}` };
     }
 
+    const orderOptions = liquidate && !extendedHours ?
+      { type: ORDER_TYPES.MARKET, timeInForce: TIME_IN_FORCE.DAY } :
+      getOrderOptions(rule, side, price, { useDefaults: flatten || liquidate, extendedHours });
     const options = {
-      account: get(user, 'account.url', null),
+      ...orderOptions,
+      account: get(user, 'account'),
       quantity: numberOfShares,
-      price: finalPrice,
       symbol,
       side,
-      instrument: rule.instrumentUrl,
-      time_in_force: 'gtc',
-      type: 'limit',
-      trigger: 'immediate',
-      override_day_trade_checks: rule.overrideDayTradeChecks,
-      ref_id: rule.UUID()
+      instrumentId: rule.instrumentId,
+      instrumentUrl: rule.instrumentUrl,
+      overrideDayTradeChecks: rule.overrideDayTradeChecks,
+      refId: rule.UUID()
     };
-    const promise = rh.placeOrder(user, options)
-      .then(order => {
-        logger.orderPlaced({ symbol, price, ...order, name });
-
-        // Update order id on trade
-        if (side === 'buy') {
-          if (!trade) {
-            trade = new Trade({ rule: ruleId, user: user._id.toString() });
-          }
-          trade.buyOrderId = order.id;
-        } else {
-          trade.sellOrderId = order.id;
+    const orderDoc = this.createOrder(user, rule, trade, options);
+    let entry;
+    if (side !== 'buy') {
+      entry = orderDoc.save().then(() => ({ allowed: true }));
+    } else if (this.settings.halted) {
+      entry = Promise.resolve({ allowed: false, reason: 'Engine halted' });
+    } else {
+      // Saved within the check, so the next entry checks of the user count the order
+      entry = riskManager.checkEntry(user, { rule, price, quantity: numberOfShares }, () => orderDoc.save());
+    }
+
+    const promise = entry
+      .then(({ allowed, reason }) => {
+        if (!allowed) {
+          logger.warn(`Order not placed for rule ${name}. ${reason}`, { user, rule, symbol });
+          return { placed: false, reason };
         }
 
-        this.orderPendingMap.delete(ruleId);
-        return trade.save();
+        return Promise.resolve(side === 'sell' && get(trade, 'stopOrderId') && this.cancelProtectiveStop(user, rule, trade))
+          .then(() => getUserBroker(user).placeOrder(user, options))
+          .then(async order => {
+            logger.orderPlaced({ symbol, ...order, price: order.price || order.stopPrice || price, name }, { user, rule, trade });
+
+            // Update order id on trade
+            if (side === 'buy') {
+              if (!trade) {
+                trade = new Trade({
+                  rule: ruleId,
+                  user: user._id.toString(),
+                  sizingMode: get(rule, 'sizing.mode', 'shares'),
+                  requestedShares: numberOfShares,
+                });
+              }
+              trade.buyOrderId = order.id;
+            } else {
+              trade.sellOrderId = order.id;
+            }
+            trade.orders.push(orderDoc._id);
+
+            orderDoc.trade = trade._id;
+            orderDoc.applyBrokerOrder(order);
+            await orderDoc.save();
+            events.order(EVENT_TYPES.ORDER_PLACED, orderDoc);
+
+            await trade.save();
+            return { placed: true, order };
+          });
       })
       .catch(async error => {
-        const promises = [];
-        if ((get(error, 'message', '').includes('Not enough shares to sell'))) {
-          const positions = get(user, 'positions', []).find(p => p.instrument === rule.instrumentUrl);
+        const promises = [this.rejectOrder(orderDoc, error)];
+        if (error.code === BrokerError.INSUFFICIENT_SHARES) {
+          const positions = get(user, 'positions', []).find(p => p.instrumentId === rule.instrumentId);
           if (!Number(get(positions, 'quantity', 0))) {
             if (rule.disableAfterSold || !rule.strategy.in) {
               rule.enabled = false;
@@ -474,20 +1118,25 @@ class Engine {
             trade.completed = true;
             trade.sellPrice = price;
             trade.sellDate = new Date();
-            promises.push(trade.save());
+            promises.push(trade.save().then(() => events.tradeClosed(trade, symbol)));
           }
-        } else if ((get(error, 'message', '').includes('Instrument cannot be traded'))) {
+        } else if (error.code === BrokerError.NOT_TRADABLE) {
           rule.enabled = false;
           promises.push(rule.save());
         }
-        if (promises.length) {
-          await Promise.all(promises);
-        }
+        await Promise.all(promises);
 
+        logger.error({ message: `Failed to place order for rule ${name}. ${error.message}` }, '', { user, rule, trade, symbol });
+        return { placed: false, reason: error.message };
+      })
+      .then(result => {
+        // Once saved, the trade counts toward the user risk limits on its own
+        riskManager.release(user, rule);
         this.orderPendingMap.delete(ruleId);
-        logger.error({ message: `Failed to place order for rule ${name}. ${error.message}` });
+        return result;
       });
 
+    // The rule is reserved before anything is awaited, so it is never placed twice at once
     this.orderPendingMap.set(ruleId, promise);
 
     return promise;
@@ -502,7 +1151,7 @@ class Engine {
     let changeDetected = false;
     while (!changeDetected) {
       const symbols = uniq(this.rules[FIVE_SECONDS].map(r => `${r.exchange}:${r.symbol}`));
-      const quotes = await tv.getQuotes(...symbols);
+      const quotes = await marketData.getQuotes(symbols, { users: this.users });
       const currentPrices = quotes.map(quote => quote.close);
 
       if (!prices) {
@@ -514,23 +1163,32 @@ class Engine {
   }
 
   /**
-   * RH Tokens now expire in 86.4s, therefore this function will refresh it before
+   * Broker tokens may expire (RH tokens now expire in 86.4s), therefore this function will refresh them before
    * they expire
    */
   async populateAuthTokens() {
     const { isExtendedClosedNow } = this.marketHours;
     const init = !this.users.length;
 
-    if (!OVERRIDE_MARKET_CLOSE && isExtendedClosedNow) {
+    if (!this.settings.overrideMarketClose && isExtendedClosedNow) {
       return;
     }
 
     if (init) {
-      this.users = (await User.find().lean()).map(idToString);
+      // Users of an unsupported broker are left out, so they can't break the loops of the others
+      this.users = (await User.find().lean()).map(idToString).filter(user => {
+        try {
+          return !!getUserBroker(user);
+        } catch (error) {
+          logger.error({ message: `User ${user.username} skipped. ${error.message}` }, '', { user });
+          return false;
+        }
+      });
     }
 
-    await Promise.all(this.users.map((user, index) => rh.auth(user.brokerConfig)
-      .then(token => this.users[index].token = token)))
+    await Promise.all(this.users.map((user, index) => getUserBroker(user).auth(user)
+      .then(token => this.users[index].token = token)
+      .catch(error => logger.error({ message: `Failed to authenticate ${user.username}. ${error.message}` }, '', { user }))))
       .then(async () => {
         if (init) {
           await this.loadRulesAndAccounts(FIVE_SECONDS, true);
@@ -540,11 +1198,27 @@ class Engine {
   }
 
   /**
-   * Populates the engine with current market hours
+   * Loads the runtime settings, picked up by the next cycle
+   * @returns {Promise<void>}
+   */
+  async loadSettings() {
+    try {
+      this.settings = (await EngineSettings.getSettings()).toObject();
+    } catch (error) {
+      logger.error(error);
+    }
+  }
+
+  /**
+   * Populates the engine with current market hours, taken from the default broker on behalf of its first
+   * authenticated user, if any
    * @returns {Promise<void>}
    */
   async populateMarketHours() {
-    this.marketHours = await rh.getMarketHours();
+    const broker = getBroker();
+    const user = this.users.find(u => u.token && getUserBroker(u) === broker);
+
+    this.marketHours = await broker.getMarketHours(user);
   }
 
   /**
@@ -552,14 +1226,9 @@ class Engine {
    * @returns {Promise<void>}
    */
   async ping() {
-    if (ENV === 'production') {
-      setInterval(async () => {
-        const { isExtendedClosedNow, isClosedNow } = this.marketHours;
-        const isMarketClosed = ENABLE_EXTENDED_HOURS ? isExtendedClosedNow : isClosedNow;
-        if (!isMarketClosed || moment().minutes() % 30 === 0) {
-          logger.ping();
-        }
-      }, ONE_MINUTE);
+    const { isExtendedClosedNow } = this.marketHours;
+    if (this.settings.env === 'production' && (!isExtendedClosedNow || moment().minutes() % 30 === 0)) {
+      logger.ping();
     }
   }
 }
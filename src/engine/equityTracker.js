@@ -0,0 +1,129 @@
+const moment = require('moment');
+const { get, groupBy, isFinite, last, sumBy } = require('lodash');
+
+const { EquitySnapshot } = require('../models');
+const { getUserBroker } = require('../services/brokers');
+const logger = require('../services/logService');
+
+/**
+ * Stores the broker account values of the users every time the engine refreshes them, plus one snapshot
+ * once the regular session closes, and builds the equity curve out of them
+ */
+class EquityTracker {
+  constructor() {
+    /**
+     * Last day an end of day snapshot was taken, by user id
+     */
+    this.endOfDayDates = new Map();
+  }
+
+  /**
+   * @param user
+   * @param account - See `BrokerAdapter.getAccount`
+   * @param endOfDay
+   * @returns {Promise<EquitySnapshot>}
+   */
+  record(user, account, endOfDay = false) {
+    const positions = get(user, 'positions', []);
+    const marketValue = isFinite(account.marketValue) ? account.marketValue : sumBy(positions, 'marketValue');
+
+    return EquitySnapshot.create({
+      user: user._id,
+      equity: account.equity,
+      cash: account.cash,
+      buyingPower: account.buyingPower,
+      marketValue,
+      positions: positions.length,
+      endOfDay,
+    });
+  }
+
+  /**
+   * Takes the end of day snapshot of every user, once the regular session of a trading day is over
+   * @param users
+   * @param marketHours - See `utils.marketTimes`
+   * @returns {Promise}
+   */
+  async recordEndOfDay(users, marketHours) {
+    const { isMarketOpenToday, closesAt } = marketHours;
+    const today = moment().format('YYYY-MM-DD');
+
+    if (!isMarketOpenToday || moment().isBefore(closesAt)) {
+      return;
+    }
+
+    await Promise.all(users.map(async user => {
+      const userId = user._id.toString();
+      if (this.endOfDayDates.get(userId) === today) {
+        return;
+      }
+
+      try {
+        const taken = await EquitySnapshot.countDocuments({
+          user: userId,
+          endOfDay: true,
+          date: { $gte: moment().startOf('day').toDate() },
+        });
+        if (!taken) {
+          await this.record(user, await getUserBroker(user).getAccount(user), true);
+        }
+        this.endOfDayDates.set(userId, today);
+      } catch (error) {
+        logger.error({ message: `Failed to take end of day snapshot for ${user.username}` }, error, { user });
+      }
+    }));
+  }
+
+  /**
+   * Equity curve of a user and daily returns, from the end of day snapshots or the last snapshot of days without one.
+   * Deposits and withdrawals are not told apart from returns
+   * @param userId
+   * @param from
+   * @param to
+   * @returns {Promise<{ curve: Object[], daily: Object[], summary: Object }>}
+   */
+  async getEquityCurve(userId, { from, to } = {}) {
+    const query = { user: userId };
+    if (from || to) {
+      query.date = {};
+      if (from) {
+        query.date.$gte = new Date(from);
+      }
+      if (to) {
+        query.date.$lte = new Date(to);
+      }
+    }
+
+    const snapshots = await EquitySnapshot.find(query).sort({ date: 1 }).lean();
+    const curve = snapshots.map(({ date, equity, cash, buyingPower, marketValue, positions }) =>
+      ({ date, equity, cash, buyingPower, marketValue, positions }));
+    const days = groupBy(snapshots, s => moment(s.date).format('YYYY-MM-DD'));
+    const closes = Object.keys(days).sort()
+      .map(date => ({ date, equity: (days[date].find(s => s.endOfDay) || last(days[date])).equity }));
+    const daily = closes.map(({ date, equity }, index) => {
+      const previousEquity = index ? closes[index - 1].equity : null;
+
+      return {
+        date,
+        equity,
+        change: previousEquity === null ? null : equity - previousEquity,
+        returnPercent: previousEquity ? ((equity - previousEquity) / previousEquity) * 100 : null,
+      };
+    });
+    const startEquity = get(daily, '0.equity', null);
+    const endEquity = get(last(daily), 'equity', null);
+
+    return {
+      curve,
+      daily,
+      summary: {
+        startEquity,
+        endEquity,
+        change: daily.length ? endEquity - startEquity : null,
+        returnPercent: startEquity ? ((endEquity - startEquity) / startEquity) * 100 : null,
+      },
+    };
+  }
+}
+
+module.exports = new EquityTracker();
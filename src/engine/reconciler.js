@@ -0,0 +1,223 @@
+const moment = require('moment');
+const { get, isFinite, last, sortBy, sumBy } = require('lodash');
+
+const { Order, Rule, Trade, queries: { getUserIncompleteTrades } } = require('../models');
+const { getUserBroker, ORDER_STATES } = require('../services/brokers');
+const logger = require('../services/logService');
+const events = require('../services/eventService');
+
+// Persisted orders never acknowledged by the broker are rejected after this delay
+const UNACKNOWLEDGED_ORDER_MINUTES = 5;
+
+/**
+ * Compares broker positions and recent orders against the incomplete Trades and persisted Orders, and repairs
+ * what it can:
+ * - orders submitted but never recorded are attached to their trade, or a new trade when they are buys
+ * - trades whose shares are no longer held are closed
+ * - positions not held by any trade, or held in a different quantity, are flagged
+ * Repairs only attach order ids and close trades, fills are still applied by the `Engine`
+ */
+class Reconciler {
+  constructor() {
+    /**
+     * Latest reconciliation report
+     */
+    this.lastReport = null;
+  }
+
+  /**
+   * Reconciles every user and notifies the report
+   * @param users - Users with broker tokens, see `Engine.users`
+   * @returns {Promise<{ date: Date, users: Object[] }>}
+   */
+  async run(users = []) {
+    const report = {
+      date: new Date(),
+      users: await Promise.all(users.map(user => this.reconcileUser(user))),
+    };
+
+    this.lastReport = report;
+    logger.reconciliation(report);
+
+    return report;
+  }
+
+  /**
+   * @param user
+   * @returns {Promise<{ user: string, username: string, repaired: Object[], flagged: Object[], error: (string|null) }>}
+   */
+  async reconcileUser(user) {
+    const result = { user: user._id.toString(), username: user.username, repaired: [], flagged: [], error: null };
+
+    try {
+      const broker = getUserBroker(user);
+      const [positions, brokerOrders, rules, trades] = await Promise.all([
+        broker.getPositions(user),
+        broker.getOrders(user),
+        Rule.find({ user: user._id }),
+        getUserIncompleteTrades(user._id),
+      ]);
+
+      await this.reconcileOrders(user, brokerOrders, result);
+      await this.attachOrphanOrders(rules, trades, brokerOrders, result);
+      await this.closeSoldTrades(user, rules, trades, positions, brokerOrders, result);
+      this.flagPositions(rules, trades, positions, result);
+    } catch (error) {
+      result.error = get(error, 'message', String(error));
+    }
+
+    return result;
+  }
+
+  /**
+   * Matches persisted orders never acknowledged by the broker, e.g. the process died before saving the broker id
+   * @private
+   */
+  async reconcileOrders(user, brokerOrders, result) {
+    const orders = await Order.find({ user: user._id, state: ORDER_STATES.PENDING, brokerId: null });
+
+    await Promise.all(orders.map(order => {
+      const brokerOrder = brokerOrders.find(o => o.refId === order.refId);
+
+      if (brokerOrder) {
+        order.applyBrokerOrder(brokerOrder);
+        result.repaired.push({ type: 'order_acknowledged', order: order._id, message: `Order ${brokerOrder.id} found at the broker` });
+      } else if (moment().diff(order.createdAt, 'minutes') >= UNACKNOWLEDGED_ORDER_MINUTES) {
+        order.reason = 'Not found at the broker';
+        order.transition(ORDER_STATES.REJECTED);
+        result.repaired.push({ type: 'order_rejected', order: order._id, message: order.reason });
+      }
+
+      return order.isModified() ? order.save() : null;
+    }));
+  }
+
+  /**
+   * Attaches broker orders placed by a rule that no trade knows about
+   * @private
+   */
+  async attachOrphanOrders(rules, trades, brokerOrders, result) {
+    const [buyIds, sellIds, stopIds] = await Promise.all(['buyOrderId', 'sellOrderId', 'stopOrderId'].map(path => Trade.distinct(path)));
+    const knownIds = new Set([...buyIds, ...sellIds, ...stopIds]);
+    const activeStates = [ORDER_STATES.SUBMITTED, ORDER_STATES.PARTIALLY_FILLED, ORDER_STATES.FILLED];
+
+    for (const rule of rules) {
+      const orphans = brokerOrders
+        .filter(o => rule.refId && o.refId && o.refId.endsWith(rule.refId))
+        .filter(o => !knownIds.has(o.id) && activeStates.includes(o.state))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      let trade = trades.find(t => rule._id.equals(t.rule));
+
+      for (const order of orphans) {
+        if (order.side === 'buy' && !trade) {
+          trade = new Trade({
+            rule: rule._id,
+            user: rule.user,
+            sizingMode: get(rule, 'sizing.mode', 'shares'),
+            requestedShares: order.quantity,
+            buyOrderId: order.id,
+          });
+          trades.push(trade);
+        } else if (order.side === 'sell' && trade && trade.buyPrice && !trade.sellOrderId) {
+          trade.sellOrderId = order.id;
+        } else {
+          result.flagged.push({ type: 'unmatched_order', rule: rule._id, order: order.id, message: `${order.side} order ${order.id} of ${rule.symbol} could not be attached` });
+          continue;
+        }
+
+        await Order.updateOne({ brokerId: order.id }, { trade: trade._id });
+        await trade.save();
+        result.repaired.push({ type: 'order_attached', rule: rule._id, trade: trade._id, order: order.id, message: `${order.side} order ${order.id} of ${rule.symbol} attached` });
+      }
+    }
+  }
+
+  /**
+   * Closes bought trades whose shares are no longer held, e.g. sold manually, at the price of the broker sell fill.
+   * Trades closed without a known fill are flagged `reconciled` and have no sell price
+   * @private
+   */
+  async closeSoldTrades(user, rules, trades, positions, brokerOrders, result) {
+    const openStates = [ORDER_STATES.PENDING, ORDER_STATES.SUBMITTED, ORDER_STATES.PARTIALLY_FILLED];
+
+    for (const trade of trades.filter(t => t.buyPrice && !t.completed)) {
+      const rule = rules.find(r => r._id.equals(trade.rule));
+      const position = positions.find(p => p.instrumentId === get(rule, 'instrumentId'));
+      const orderIds = [trade.buyOrderId, trade.sellOrderId, trade.stopOrderId];
+      const hasOpenOrder = brokerOrders.some(o => orderIds.includes(o.id) && openStates.includes(o.state));
+
+      if (!rule || Number(get(position, 'quantity', 0)) || hasOpenOrder) {
+        continue;
+      }
+
+      const fill = await this.findSellFill(user, rule, trade, brokerOrders);
+      if (fill) {
+        trade.sellOrderId = fill.id;
+        trade.sellPrice = fill.averagePrice;
+        trade.sellDate = fill.updatedAt || new Date();
+      } else {
+        trade.sellOrderId = trade.sellOrderId || 'reconciled';
+        trade.sellPrice = undefined;
+        trade.sellDate = new Date();
+        trade.reconciled = true;
+      }
+      trade.stopOrderId = undefined;
+      trade.soldShares = trade.boughtShares;
+      trade.completed = true;
+      trade.exitReason = 'Shares no longer held';
+      await trade.save();
+      events.tradeClosed(trade, rule.symbol);
+
+      result.repaired.push({
+        type: 'trade_closed',
+        rule: rule._id,
+        trade: trade._id,
+        message: fill ?
+          `${rule.symbol} trade closed at ${fill.averagePrice}, shares no longer held` :
+          `${rule.symbol} trade closed without a known sell price, shares no longer held`,
+      });
+    }
+  }
+
+  /**
+   * Filled sell order that emptied a trade: its sell order or protective stop, else the latest sell of the symbol
+   * placed by the rule or outside the engine since the trade was bought
+   * @private
+   */
+  async findSellFill(user, rule, trade, brokerOrders) {
+    const isFill = order => get(order, 'side') === 'sell' && get(order, 'filledQuantity') > 0 && isFinite(get(order, 'averagePrice'));
+
+    for (const id of [trade.sellOrderId, trade.stopOrderId].filter(id => id)) {
+      const order = brokerOrders.find(o => o.id === id) || await getUserBroker(user).getOrder(user, id).catch(() => null);
+      if (isFill(order)) {
+        return order;
+      }
+    }
+
+    const fills = brokerOrders.filter(o => isFill(o) && o.symbol === rule.symbol
+      && (!o.refId || (rule.refId && o.refId.endsWith(rule.refId)))
+      && (!trade.buyDate || new Date(o.updatedAt) >= trade.buyDate));
+    return last(sortBy(fills, o => new Date(o.updatedAt)));
+  }
+
+  /**
+   * Flags positions not held by any trade, or held in a different quantity
+   * @private
+   */
+  flagPositions(rules, trades, positions, result) {
+    positions.filter(p => Number(p.quantity)).forEach(position => {
+      const positionRules = rules.filter(r => r.instrumentId === position.instrumentId);
+      const positionTrades = trades.filter(t => !t.completed && positionRules.some(r => r._id.equals(t.rule)));
+      const heldShares = sumBy(positionTrades, t => (t.boughtShares || 0) - (t.soldShares || 0));
+      const symbol = position.symbol || get(positionRules, '0.symbol', position.instrumentId);
+
+      if (!positionTrades.length) {
+        result.flagged.push({ type: 'unknown_position', instrumentId: position.instrumentId, quantity: position.quantity, message: `${symbol} position of ${position.quantity} shares not held by any trade` });
+      } else if (heldShares !== Number(position.quantity)) {
+        result.flagged.push({ type: 'quantity_mismatch', instrumentId: position.instrumentId, quantity: position.quantity, message: `${symbol} position of ${position.quantity} shares but trades hold ${heldShares}` });
+      }
+    });
+  }
+}
+
+module.exports = new Reconciler();
@@ -0,0 +1,230 @@
+const moment = require('moment');
+const { get, isFinite, max, sumBy } = require('lodash');
+
+const {
+  queries: { getUserIncompleteTrades, getUserTradesSince, countUserOrdersSince, getTradesBuyOrders },
+} = require('../models');
+const logger = require('../services/logService');
+const events = require('../services/eventService');
+
+// Pattern Day Trader rule: accounts under $25k can't make more than 3 day trades in 5 business days
+const PDT_MIN_EQUITY = 25000;
+const PDT_MAX_DAY_TRADES = 3;
+const PDT_WINDOW_DAYS = 5;
+
+/**
+ * Dollar amount of a buy order, filled shares at their average price and unfilled ones at the limit or stop price
+ * @private
+ */
+const getBuyOrderValue = ({ quantity = 0, filledQuantity = 0, averagePrice, price, stopPrice }) =>
+  filledQuantity * (averagePrice || 0) + (quantity - filledQuantity) * (price || stopPrice || 0);
+
+/**
+ * Enforces the account level risk limits in `User.riskSettings` before every new entry.
+ * Once the daily loss limit is hit, new entries are disabled for that user for the rest of the day.
+ * Also enforces the Pattern Day Trader rule for accounts under $25k
+ */
+class RiskManager {
+  constructor() {
+    /**
+     * Users with entries disabled, by user id: `{ date: 'YYYY-MM-DD', reason }`
+     */
+    this.halts = new Map();
+    /**
+     * Last entry check of each user, by user id. Checks of a user run one at a time
+     */
+    this.entryChecks = new Map();
+    /**
+     * Allowed entries whose trade is not saved yet, by user id then rule id: dollar amount of the entry
+     */
+    this.reservations = new Map();
+  }
+
+  /**
+   * Whether new entries are disabled today for a user
+   * @param user
+   * @returns {boolean}
+   */
+  isHalted(user) {
+    return get(this.halts.get(user._id.toString()), 'date') === moment().format('YYYY-MM-DD');
+  }
+
+  /**
+   * Computes today's risk metrics for a user. Trades waiting for their buy order to fill and allowed entries
+   * being placed count as open trades and toward the exposure
+   * @param user
+   * @returns {Promise<{ realizedPnL: number, openTrades: number, exposure: number, ordersToday: number }>}
+   */
+  async getMetrics(user) {
+    const startOfDay = moment().startOf('day').toDate();
+    const [openTrades, todayTrades, ordersToday] = await Promise.all([
+      getUserIncompleteTrades(user._id),
+      getUserTradesSince(user._id, startOfDay),
+      countUserOrdersSince(user._id, startOfDay),
+    ]);
+    const pendingTrades = openTrades.filter(t => !t.buyPrice);
+    const pendingOrders = pendingTrades.length ? await getTradesBuyOrders(pendingTrades.map(t => t._id)) : [];
+    const reservations = Array.from(this.reservations.get(user._id.toString()) || new Map(), ([, amount]) => amount);
+    const closedToday = todayTrades.filter(t => t.completed && t.sellDate >= startOfDay && isFinite(t.sellPrice));
+
+    return {
+      realizedPnL: sumBy(closedToday, t => (t.sellPrice - t.buyPrice) * (t.soldShares || 0)),
+      openTrades: openTrades.length + reservations.length,
+      exposure: sumBy(openTrades, t => (t.buyPrice || 0) * ((t.boughtShares || 0) - (t.soldShares || 0))) +
+        sumBy(pendingOrders, getBuyOrderValue) + sumBy(reservations),
+      ordersToday,
+    };
+  }
+
+  /**
+   * Start of the rolling day trades window, the last 5 business days including today
+   * @returns {Date}
+   */
+  getDayTradesWindowStart() {
+    const date = moment().startOf('day');
+    let businessDays = 1;
+    while (businessDays < PDT_WINDOW_DAYS) {
+      date.subtract(1, 'day');
+      if (date.isoWeekday() < 6) {
+        businessDays++;
+      }
+    }
+    return date.toDate();
+  }
+
+  /**
+   * Day trades status of a user. Trades bought and sold on the same day are counted, or the broker count
+   * when it is higher e.g. day trades made outside the engine
+   * @param user - `user.account` is used to know whether the PDT rule applies
+   * @returns {Promise<{ count: number, remaining: (number|null), limit: number, restricted: boolean, since: Date, equity: (number|null) }>}
+   */
+  async getDayTradesStatus(user) {
+    const since = this.getDayTradesWindowStart();
+    const trades = await getUserTradesSince(user._id, since);
+    const dayTrades = trades.filter(({ completed, sellDate, buyDate, createdAt }) => completed && sellDate
+      && moment(sellDate).isSame(buyDate || createdAt, 'day'));
+    const count = max([dayTrades.length, get(user, 'account.dayTradeCount')].filter(isFinite));
+    const equity = get(user, 'account.equity', null);
+    const restricted = !isFinite(equity) || equity < PDT_MIN_EQUITY;
+
+    return {
+      count,
+      remaining: restricted ? Math.max(PDT_MAX_DAY_TRADES - count, 0) : null,
+      limit: PDT_MAX_DAY_TRADES,
+      restricted,
+      since,
+      equity,
+    };
+  }
+
+  /**
+   * Checks whether a new entry is allowed, see @method evaluateEntry. Checks of a user run one at a time, and allowed
+   * entries count toward the limits of the next checks until released, see @method release
+   * @param user
+   * @param entry - `{ rule, price, quantity }`
+   * @param commit - Called once the entry is allowed, before the next check of the user runs, e.g. to save the order
+   * @returns {Promise<{ allowed: boolean, reason: (string|null) }>} Rejects when `commit` fails
+   */
+  checkEntry(user, entry, commit) {
+    const userId = user._id.toString();
+    const check = (this.entryChecks.get(userId) || Promise.resolve())
+      .then(() => this.evaluateEntry(user, entry))
+      .then(async result => {
+        if (result.allowed) {
+          this.reserve(user, entry);
+          if (commit) {
+            await commit();
+          }
+        }
+        return result;
+      });
+
+    this.entryChecks.set(userId, check.catch(() => null));
+    return check;
+  }
+
+  /**
+   * Counts an allowed entry toward the limits of the user
+   * @private
+   */
+  reserve(user, { rule, price, quantity }) {
+    const userId = user._id.toString();
+    if (!this.reservations.has(userId)) {
+      this.reservations.set(userId, new Map());
+    }
+    this.reservations.get(userId).set(String(get(rule, '_id', rule)), price * quantity);
+  }
+
+  /**
+   * Stops counting an allowed entry once its trade is saved, or its order failed
+   * @param user
+   * @param rule
+   */
+  release(user, rule) {
+    const reservations = this.reservations.get(user._id.toString());
+    if (reservations) {
+      reservations.delete(String(get(rule, '_id', rule)));
+    }
+  }
+
+  /**
+   * Whether a new entry is allowed, disabling entries for the rest of the day when the daily loss limit is hit.
+   * Entries of rules that can't be held overnight are refused when no day trades are left
+   * @param user
+   * @param rule
+   * @param price
+   * @param quantity
+   * @returns {Promise<{ allowed: boolean, reason: (string|null) }>}
+   * @private
+   */
+  async evaluateEntry(user, { rule, price, quantity }) {
+    if (this.isHalted(user)) {
+      return { allowed: false, reason: this.halts.get(user._id.toString()).reason };
+    }
+
+    if (rule && !rule.holdOvernight && !rule.overrideDayTradeChecks) {
+      const { restricted, remaining, count } = await this.getDayTradesStatus(user);
+      if (restricted && remaining < 1) {
+        return { allowed: false, reason: `Pattern Day Trader limit reached (${count} day trades in ${PDT_WINDOW_DAYS} days)` };
+      }
+    }
+
+    const { maxDailyLoss, maxOpenTrades, maxExposure, maxOrdersPerDay } = get(user, 'riskSettings') || {};
+    const metrics = await this.getMetrics(user);
+    let reason = null;
+
+    if (isFinite(maxDailyLoss) && -metrics.realizedPnL >= maxDailyLoss) {
+      reason = `Max daily loss of $${maxDailyLoss} reached ($${metrics.realizedPnL.toFixed(2)})`;
+      this.halt(user, reason);
+      return { allowed: false, reason };
+    }
+
+    if (isFinite(maxOrdersPerDay) && metrics.ordersToday >= maxOrdersPerDay) {
+      reason = `Max orders per day reached (${metrics.ordersToday})`;
+    } else if (isFinite(maxOpenTrades) && metrics.openTrades >= maxOpenTrades) {
+      reason = `Max open trades reached (${metrics.openTrades})`;
+    } else if (isFinite(maxExposure) && metrics.exposure + price * quantity > maxExposure) {
+      reason = `Max exposure of $${maxExposure} would be exceeded ($${(metrics.exposure + price * quantity).toFixed(2)})`;
+    }
+
+    // Only the entry is refused, the limits free up as trades close
+    if (reason) {
+      return { allowed: false, reason };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Disables new entries for a user for the rest of the day and notifies it
+   * @param user
+   * @param reason
+   */
+  halt(user, reason) {
+    this.halts.set(user._id.toString(), { date: moment().format('YYYY-MM-DD'), reason });
+    logger.riskLimitReached({ user, reason });
+    events.riskLimitReached(user, reason);
+  }
+}
+
+module.exports = new RiskManager();
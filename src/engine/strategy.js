@@ -0,0 +1,530 @@
+const { get, isBoolean, isFunction, isArray, isPlainObject, isFinite, uniq } = require('lodash');
+const { Query } = require('mingo');
+
+const { assert, parsePattern, getValueFromPercentage } = require('../services/utils');
+const { compile } = require('../services/patternLanguage');
+const { ORDER_STATES, ORDER_TYPES, TIME_IN_FORCE } = require('../services/brokers/BrokerAdapter');
+
+// Percentage through the price used by limit orders to get an easier fill
+const DEFAULT_LIMIT_OFFSET = 0.01;
+
+// Exit order types placed at the broker as soon as the buy fills, instead of once the engine decides to sell
+const PROTECTIVE_ORDER_TYPES = [ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT, ORDER_TYPES.TRAILING_STOP];
+
+// Price fields every quote provider returns
+const QUOTE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+/**
+ * Rule decision logic shared by the live `Engine` and the `Backtester`.
+ * Functions in this module never talk to brokers or to the database
+ */
+
+/**
+ * Builds the object patterns are evaluated against
+ * @param rule
+ * @param user
+ * @param quote
+ * @returns {Object}
+ */
+const buildMetadata = (rule, user, quote) => ({
+  ...(isFunction(rule.toObject) ? rule.toObject() : rule),
+  ...user,
+  ...quote,
+});
+
+/**
+ * Resolves a pattern into the query evaluated against the metadata
+ * @param pattern - Populated Pattern, or null
+ * @param metadata
+ * @param doNotMatchIfNull
+ * @returns {Object}
+ */
+const getPatternQuery = (pattern, metadata, doNotMatchIfNull) => {
+  if (get(pattern, 'syntax') === 'expression' && get(pattern, 'query')) {
+    return compile(pattern.query);
+  }
+
+  return parsePattern(get(pattern, 'query'), metadata, doNotMatchIfNull);
+};
+
+/**
+ * Collects the fields referenced by an aggregation expression, e.g. `{ $gt: ['$close', '$ema'] }` => ['close', 'ema']
+ * @private
+ */
+const getExpressionFields = (expression) => {
+  if (typeof expression === 'string') {
+    return expression.startsWith('$') ? [expression.slice(1)] : [];
+  }
+  if (isArray(expression)) {
+    return [].concat(...expression.map(getExpressionFields));
+  }
+  if (isPlainObject(expression)) {
+    return [].concat(...Object.keys(expression).map(key => getExpressionFields(expression[key])));
+  }
+  return [];
+};
+
+/**
+ * Whether the buy pattern of a rule matches, e.g. to find out whether an unfilled entry is still wanted
+ * @param rule
+ * @param metadata - See @method buildMetadata
+ * @returns {boolean}
+ */
+const isEntryMatched = (rule, metadata) =>
+  new Query(getPatternQuery(get(rule, 'strategy.in'), metadata, false)).test(metadata);
+
+/**
+ * Collects the fields referenced by a resolved query, see @method getPatternQuery
+ * @private
+ */
+const getQueryFields = (query) => [].concat(...Object.keys(query).map(key => {
+  if (['$and', '$or', '$nor'].includes(key)) {
+    return [].concat(...query[key].map(getQueryFields));
+  }
+  if (key === '$expr') {
+    return getExpressionFields(query[key]);
+  }
+  return key.startsWith('$') ? [] : [key];
+}));
+
+/**
+ * Quote fields a rule is evaluated against: the price fields plus the fields its buy and sell patterns reference
+ * @param rule - Rule with populated patterns
+ * @param metadata - See @method buildMetadata
+ * @returns {string[]}
+ */
+const getPatternFields = (rule, metadata) => {
+  const patterns = [get(rule, 'strategy.in'), get(rule, 'strategy.out')].filter(pattern => get(pattern, 'query'));
+  const fields = patterns.map(pattern => {
+    // Placeholders of legacy patterns are replaced by their values once resolved
+    const placeholders = pattern.syntax === 'expression' ? [] :
+      (pattern.query.match(/{{.+?}}/g) || []).map(placeholder => placeholder.slice(2, -2));
+    return [...getQueryFields(getPatternQuery(pattern, metadata)), ...placeholders];
+  });
+
+  return uniq(QUOTE_FIELDS.concat(...fields));
+};
+
+/**
+ * Evaluates a query clause by clause, to find out which part of a pattern matched
+ * @param query - Resolved query, see @method getPatternQuery
+ * @param metadata
+ * @returns {{ clause: Object, result: boolean, values: Object, clauses: Object[] }}
+ */
+const explainQuery = (query, metadata) => {
+  const keys = Object.keys(query);
+
+  // Multiple keys behave as an implicit $and
+  if (keys.length > 1) {
+    return explainQuery({ $and: keys.map(key => ({ [key]: query[key] })) }, metadata);
+  }
+
+  const [key] = keys;
+  const result = new Query(query).test(metadata);
+
+  if (['$and', '$or', '$nor'].includes(key)) {
+    return {
+      operator: key,
+      result,
+      clauses: query[key].map(clause => explainQuery(clause, metadata)),
+    };
+  }
+
+  const fields = key === '$expr' ? uniq(getExpressionFields(query[key])) : [key];
+  const values = fields.reduce((result, field) => ({ ...result, [field]: get(metadata, field) }), {});
+
+  return { clause: query, result, values };
+};
+
+/**
+ * Limit price used to get an easier fill
+ * @param side
+ * @param price
+ * @param offset - Percentage through the price, higher for buys and lower for sells
+ * @returns {string}
+ */
+const getLimitPrice = (side, price, offset = DEFAULT_LIMIT_OFFSET) => {
+  const direction = side === 'buy' ? 1 : -1;
+  return (Number(price) * (1 + (direction * offset) / 100)).toFixed(2).toString();
+};
+
+/**
+ * Stop price, above the price for buys (breakouts) and below the price for sells (stop losses)
+ * @param side
+ * @param price
+ * @param offset - Percentage away from the price
+ * @returns {string}
+ */
+const getStopPrice = (side, price, offset = 0) => {
+  const direction = side === 'buy' ? 1 : -1;
+  return (Number(price) * (1 + (direction * offset) / 100)).toFixed(2).toString();
+};
+
+/**
+ * Whether a rule trades during pre and post market. `rule.extendedHours` overrides `user.useExtendedHours`
+ * @param rule
+ * @param user
+ * @returns {boolean}
+ */
+const usesExtendedHours = (rule, user) =>
+  (isBoolean(get(rule, 'extendedHours')) ? rule.extendedHours : !!get(user, 'useExtendedHours'));
+
+/**
+ * Trading session of a rule
+ * @param rule
+ * @param user
+ * @param marketHours - See `utils.marketTimes`
+ * @param extendedHoursEnabled - Whether extended hours are enabled engine wide
+ * @returns {{ isOpen: boolean, isExtended: boolean, secondsToClose: number }} `isExtended` is true during pre and post market only
+ */
+const getRuleSession = (rule, user, marketHours, extendedHoursEnabled = true) => {
+  const { isOpenNow, isExtendedOpenNow, secondsLeftToMarketClosed, secondsLeftToExtendedMarketClosed } = marketHours;
+  const extendedHours = extendedHoursEnabled && usesExtendedHours(rule, user);
+
+  return {
+    isOpen: !!(extendedHours ? isExtendedOpenNow : isOpenNow),
+    isExtended: !!(extendedHours && !isOpenNow && isExtendedOpenNow),
+    secondsToClose: extendedHours ? secondsLeftToExtendedMarketClosed : secondsLeftToMarketClosed,
+  };
+};
+
+/**
+ * Whether a rule exits through a stop or trailing stop working at the broker since the buy filled
+ * @param rule
+ * @returns {boolean}
+ */
+const usesProtectiveStop = rule => PROTECTIVE_ORDER_TYPES.includes(get(rule, 'exitOrder.type'));
+
+/**
+ * Type, time in force and prices of an order, based on the rule `entryOrder` or `exitOrder` settings
+ * @param rule
+ * @param side
+ * @param price - Latest quote price
+ * @param options
+ * @param options.useDefaults - Ignore the rule settings and use a gtc limit order, e.g. to flatten before market close
+ * @param options.extendedHours - Whether the order is sent during pre or post market, where brokers only take day limit orders
+ * @param options.protective - Whether the sell is the protective stop of a trade, see @method usesProtectiveStop.
+ * Other sells of those rules use a gtc limit order, a stop at or below the price would not exit
+ * @returns {{ type: string, timeInForce: string, price: string, stopPrice: string, trailPercent: number, extendedHours: boolean }}
+ */
+const getOrderOptions = (rule, side, price, { useDefaults = false, extendedHours = false, protective = false } = {}) => {
+  const isDecidedExit = side === 'sell' && !protective && usesProtectiveStop(rule);
+  const settings = useDefaults || isDecidedExit ? {} : get(rule, side === 'buy' ? 'entryOrder' : 'exitOrder') || {};
+  const { limitOffset = DEFAULT_LIMIT_OFFSET, stopOffset, trailPercent } = settings;
+  let { type = ORDER_TYPES.LIMIT, timeInForce = TIME_IN_FORCE.GTC } = settings;
+
+  if (extendedHours) {
+    type = ORDER_TYPES.LIMIT;
+    timeInForce = TIME_IN_FORCE.DAY;
+  }
+
+  const options = { type, timeInForce, extendedHours };
+
+  switch (type) {
+  case ORDER_TYPES.LIMIT:
+    options.price = getLimitPrice(side, price, limitOffset);
+    break;
+  case ORDER_TYPES.STOP:
+    options.stopPrice = getStopPrice(side, price, stopOffset);
+    break;
+  case ORDER_TYPES.STOP_LIMIT:
+    options.stopPrice = getStopPrice(side, price, stopOffset);
+    options.price = getLimitPrice(side, options.stopPrice, limitOffset);
+    break;
+  case ORDER_TYPES.TRAILING_STOP:
+    options.trailPercent = trailPercent;
+    break;
+  }
+
+  return options;
+};
+
+/**
+ * Whether an open order must be left working at the broker until it fills, instead of being canceled
+ * on the next cycle like limit orders. Market orders fill on their own and stop orders rest until triggered
+ * @param order - Normalized broker order
+ * @returns {boolean}
+ */
+const isWorkingOrder = order => [ORDER_STATES.PENDING, ORDER_STATES.SUBMITTED].includes(get(order, 'state'))
+  && get(order, 'type') !== ORDER_TYPES.LIMIT;
+
+/**
+ * Walks back the repricings of a trade that led to an order
+ * @private
+ */
+const getRepricingChain = (trade, order) => {
+  const repricings = get(trade, 'repricings') || [];
+  let orderId = order.id;
+  let originalPrice = Number(order.price);
+  let attempts = 0;
+
+  for (let index = repricings.length - 1; index >= 0; index--) {
+    if (repricings[index].orderId === orderId) {
+      attempts++;
+      orderId = repricings[index].previousOrderId;
+      originalPrice = repricings[index].previousPrice;
+    }
+  }
+
+  return { attempts, originalPrice };
+};
+
+/**
+ * Decides what to do with an unfilled order, based on the rule `chase` policy:
+ * - wait: leave the order working
+ * - reprice: replace the order with a limit price stepped toward the current quote, or with a market order
+ *   for exits once attempts or slippage are exhausted
+ * - cancel: cancel the order and evaluate the rule again
+ * @param rule
+ * @param trade
+ * @param order - Unfilled normalized order
+ * @param price - Latest quote price
+ * @param options
+ * @param options.now
+ * @param options.limitOnly - Whether market orders are not allowed, e.g. during pre and post market
+ * @returns {{ action: ('wait'|'reprice'|'cancel'), type: string, price: (string|null), attempt: number }}
+ */
+const getRepricing = (rule, trade, order, price, { now = new Date(), limitOnly = false } = {}) => {
+  const { enabled, afterSeconds, stepPercentage, maxAttempts, maxSlippage, marketFallback } = get(rule, 'chase') || {};
+  const isUnfilledLimit = get(order, 'type') === ORDER_TYPES.LIMIT
+    && [ORDER_STATES.PENDING, ORDER_STATES.SUBMITTED].includes(get(order, 'state'));
+
+  if (!enabled || !isUnfilledLimit) {
+    return { action: 'cancel' };
+  }
+
+  if ((now - new Date(order.createdAt)) / 1000 < afterSeconds) {
+    return { action: 'wait' };
+  }
+
+  const { attempts, originalPrice } = getRepricingChain(trade, order);
+  const isExit = order.side === 'sell';
+  const target = Number(getLimitPrice(order.side, price, get(rule, `${isExit ? 'exitOrder' : 'entryOrder'}.limitOffset`)));
+  const current = Number(order.price);
+  const step = current * (stepPercentage / 100);
+  const nextPrice = target > current ? Math.min(current + step, target) : Math.max(current - step, target);
+  const slippage = (Math.abs(nextPrice - originalPrice) / originalPrice) * 100;
+
+  if (attempts < maxAttempts && slippage <= maxSlippage) {
+    return { action: 'reprice', type: ORDER_TYPES.LIMIT, price: nextPrice.toFixed(2), attempt: attempts + 1 };
+  }
+  if (isExit && marketFallback && !limitOnly) {
+    return { action: 'reprice', type: ORDER_TYPES.MARKET, price: null, attempt: attempts + 1 };
+  }
+
+  return { action: 'cancel' };
+};
+
+/**
+ * Number of shares to buy for a new trade, based on the rule sizing mode:
+ * - shares: fixed `rule.numberOfShares`
+ * - amount: as many shares as `sizing.amount` dollars can buy
+ * - buyingPower: as many shares as `sizing.percentage`% of the account buying power can buy
+ * - risk: as many shares as can be held while losing at most `sizing.maxLoss` dollars when `limits.riskPercentage` is reached
+ * Sizes other than fixed shares never exceed the account buying power, when known
+ * @param rule
+ * @param price
+ * @param account - Normalized broker account
+ * @returns {number}
+ */
+const getPositionSize = (rule, price, account) => {
+  const { mode = 'shares', amount, percentage, maxLoss } = get(rule, 'sizing') || {};
+  const buyingPower = get(account, 'buyingPower');
+  let shares;
+
+  switch (mode) {
+  case 'amount':
+    shares = amount / price;
+    break;
+  case 'buyingPower':
+    shares = ((buyingPower || 0) * (percentage / 100)) / price;
+    break;
+  case 'risk': {
+    const riskPerShare = price - getValueFromPercentage(price, get(rule, 'limits.riskPercentage'), 'risk');
+    shares = riskPerShare > 0 ? maxLoss / riskPerShare : 0;
+    break;
+  }
+  default:
+    return get(rule, 'numberOfShares');
+  }
+
+  if (isFinite(buyingPower)) {
+    shares = Math.min(shares, buyingPower / price);
+  }
+
+  return Math.max(Math.floor(shares) || 0, 0);
+};
+
+/**
+ * Populates trade entry values once the buy order is filled
+ * @param rule
+ * @param trade
+ * @param price
+ * @param date
+ * @param shares
+ */
+const applyBuyFill = (rule, trade, price, date, shares) => {
+  trade.buyPrice = price;
+  trade.buyDate = date;
+  trade.riskValue = getValueFromPercentage(price, rule.limits.riskPercentage, 'risk');
+  trade.profitValue = getValueFromPercentage(price, rule.limits.profitPercentage, 'profit');
+  trade.boughtShares = shares;
+};
+
+/**
+ * Decides whether a rule should buy, sell or wait given the latest quote
+ * @param {Object} options
+ * @param options.rule
+ * @param options.trade - Incomplete trade, if any
+ * @param options.metadata - Object patterns are evaluated against, see @method buildMetadata
+ * @param options.price - Latest quote price
+ * @param options.lastOrderIsBuy - Whether shares are currently held
+ * @param options.lastOrderIsSell - Whether the rule is waiting for an entry
+ * @param options.closingSoon - Whether the session is about to close
+ * @param options.sellAll - Whether all shares must be sold right away
+ * @returns {{ side: ('buy'|'sell'|null), reason: (string|null), flatten: boolean, patterns: { buy, sell } }}
+ * `patterns` holds the pattern results, null when the rule has no such pattern
+ */
+const decide = ({ rule, trade, metadata, price, lastOrderIsBuy, lastOrderIsSell, closingSoon, sellAll }) => {
+  const buyQuery = new Query(getPatternQuery(get(rule, 'strategy.in'), metadata, false));
+  const sellQuery = new Query(getPatternQuery(get(rule, 'strategy.out'), metadata, true));
+  assert(buyQuery.__criteria || sellQuery.__criteria, `No strategy found for rule ${rule._id}`);
+
+  const buyMatched = buyQuery.test(metadata);
+  const sellMatched = sellQuery.test(metadata);
+  const patterns = {
+    buy: buyQuery.__criteria ? buyMatched : null,
+    sell: sellQuery.__criteria ? sellMatched : null,
+  };
+  const riskValue = get(trade, 'riskValue', 0);
+  const profitValue = get(trade, 'profitValue', null);
+  const riskPriceReached = riskValue > price;
+  const profitPriceReached = profitValue && profitValue < price;
+
+  /**
+   * End of day is approaching (4PM EST), sell all shares if rule is not holding overnight
+   */
+  if (sellAll || (closingSoon && !rule.holdOvernight)) {
+    return {
+      side: lastOrderIsBuy ? 'sell' : null,
+      reason: sellAll ? 'Manual sell' : 'Sell before market is closed',
+      flatten: true,
+      patterns,
+    };
+  }
+
+  /**
+   * BUY pattern
+   */
+  if (lastOrderIsSell && buyMatched) {
+    return { side: 'buy', reason: null, flatten: false, patterns };
+  }
+
+  /**
+   * SELL pattern
+   */
+  if (lastOrderIsBuy && (riskPriceReached || profitPriceReached || sellMatched)) {
+    let reason = null;
+
+    if (riskPriceReached) {
+      reason = 'Risk reached';
+    } else if (profitPriceReached) {
+      reason = 'Profit reached';
+    }
+
+    return { side: 'sell', reason, flatten: false, patterns };
+  }
+
+  return { side: null, reason: null, flatten: false, patterns };
+};
+
+/**
+ * Human readable reason of a decision, see @method decide
+ * @param decision
+ * @param lastOrderIsBuy - Whether shares are currently held
+ * @returns {string}
+ */
+const describeDecision = ({ side, reason }, lastOrderIsBuy) => {
+  if (reason) {
+    return reason;
+  }
+  if (side) {
+    return `${side === 'buy' ? 'Buy' : 'Sell'} pattern matched`;
+  }
+  return `${lastOrderIsBuy ? 'Sell' : 'Buy'} pattern not matched`;
+};
+
+/**
+ * Follow price logic. Moves the trade risk value up as the price rises
+ * @param rule
+ * @param trade
+ * @param price
+ */
+const followPrice = (rule, trade, price) => {
+  const riskValue = get(trade, 'riskValue', 0);
+  const buyPrice = get(trade, 'buyPrice');
+  const realizedGainPerc = ((price - buyPrice) / buyPrice) * 100;
+  const { riskPercentage, followPrice } = rule.limits;
+  const { targetPercentage, riskPercentageAfterTargetReached } = followPrice;
+
+  if (!trade.targetReached && targetPercentage <= realizedGainPerc) {
+    trade.targetReached = true;
+  }
+
+  if (trade.targetReached) {
+    // Target price is reached, use riskPercentageAfterTargetReached as new risk limit
+    const newRiskValue = getValueFromPercentage(price, riskPercentageAfterTargetReached, 'risk');
+    // Increase risk value only if the new risk is higher
+    if (newRiskValue > riskValue) {
+      trade.riskValue = newRiskValue;
+    }
+  } else if (realizedGainPerc > (riskPercentage / 2)) {
+    // Gains are higher than half the risk taken
+    const newRiskValue = getValueFromPercentage(price, riskPercentage, 'risk');
+    // Increase risk value only if the new risk is higher
+    if (newRiskValue > riskValue) {
+      trade.riskValue = newRiskValue;
+    }
+  }
+};
+
+/**
+ * Whether the follow price logic applies to the current trade
+ * @param rule
+ * @param trade
+ * @param lastOrderIsBuy
+ * @returns {boolean}
+ */
+const shouldFollowPrice = (rule, trade, lastOrderIsBuy) =>
+  !!(lastOrderIsBuy && get(trade, 'buyPrice') && get(rule, 'limits.followPrice.enabled'));
+
+/**
+ * Builds the order name used on logs
+ * @param rule
+ * @param reason
+ * @returns {string}
+ */
+const getOrderName = (rule, reason) => (reason ? `${get(rule, 'name')}(${reason})` : get(rule, 'name'));
+
+module.exports = {
+  buildMetadata,
+  getPatternQuery,
+  explainQuery,
+  isEntryMatched,
+  getPatternFields,
+  getLimitPrice,
+  getStopPrice,
+  usesExtendedHours,
+  getRuleSession,
+  usesProtectiveStop,
+  getOrderOptions,
+  isWorkingOrder,
+  getRepricing,
+  getPositionSize,
+  applyBuyFill,
+  decide,
+  describeDecision,
+  followPrice,
+  shouldFollowPrice,
+  getOrderName,
+};
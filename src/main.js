@@ -1,8 +1,9 @@
 const { createServer } = require('http');
-const { ENGINE_PORT, DB } = require('./config/env');
+const { ENGINE_PORT, DB, ENGINE_AUTO_START = false } = require('./config/env');
 const createApi = require('./api');
 const logger = require('./services/logService');
 const engine = require('./engine/engine');
+const notifier = require('./services/notifier');
 const mongoose = require('mongoose');
 
 class App {
@@ -25,9 +26,12 @@ class App {
 
   start() {
     createApi(this.db);
+    notifier.start();
     this.server.listen(ENGINE_PORT, () => {
-      console.log('Engine running on port:', ENGINE_PORT);
-      //engine.start();
+      logger.info(`Engine running on port: ${ENGINE_PORT}`);
+      if (ENGINE_AUTO_START) {
+        engine.start();
+      }
     });
   }
 
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { get, isEqual } = require('lodash');
+const env = require('../config/env');
+
+/**
+ * Settings editable at runtime, with the environment variable used as default
+ */
+const EDITABLE_FIELDS = {
+  overrideMarketClose: 'ENGINE_OVERRIDE_MARKET_CLOSE',
+  extendedHoursEnabled: 'ENGINE_EXTENDED_HOURS_ENABLED',
+  manuallySellAll: 'ENGINE_MANUALLY_SELL_ALL',
+  debugMode: 'ENGINE_DEBUG_MODE',
+  env: 'ENGINE_ENV',
+  halted: 'ENGINE_HALTED',
+  haltReason: 'ENGINE_HALT_REASON',
+};
+
+/**
+ * Single document holding the engine settings, picked up by the running engine on its next cycle
+ */
+const EngineSettings = new mongoose.Schema({
+  /**
+   * Process rules even when the market is closed
+   */
+  overrideMarketClose: { type: Boolean, default: false },
+  /**
+   * Whether users and rules may trade during pre and post market at all
+   */
+  extendedHoursEnabled: { type: Boolean, default: true },
+  /**
+   * Sell all shares held by every rule right away
+   */
+  manuallySellAll: { type: Boolean, default: false },
+  /**
+   * Log every rule evaluation
+   */
+  debugMode: { type: Boolean, default: true },
+  /**
+   * Pings are only sent in production
+   */
+  env: { type: String, enum: ['production', 'development'], default: 'production' },
+  /**
+   * Kill-switch. No new entries are taken while halted, exits keep working
+   */
+  halted: { type: Boolean, default: false },
+  haltReason: { type: String },
+  /**
+   * Every change made to the settings
+   */
+  audit: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    username: String,
+    field: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    date: { type: Date, default: Date.now },
+  }],
+  updatedAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+// region STATICS
+/**
+ * Retrieves the settings, creating them from the environment defaults the first time
+ * @returns {Promise<EngineSettings>}
+ */
+EngineSettings.statics.getSettings = async function () {
+  const defaults = Object.keys(EDITABLE_FIELDS)
+    .filter(field => get(env, EDITABLE_FIELDS[field]) !== undefined)
+    .reduce((values, field) => ({ ...values, [field]: env[EDITABLE_FIELDS[field]] }), {});
+
+  // Upserted so that concurrent first calls don't create several settings documents
+  return this.findOneAndUpdate({}, { $setOnInsert: defaults }, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+// endregion
+
+// region METHODS
+/**
+ * Applies changes to editable fields, auditing every changed value
+ * @param changes
+ * @param user - User making the change: `{ _id, username }`
+ * @returns {string[]} Changed fields
+ */
+EngineSettings.methods.applyChanges = function (changes, user) {
+  const changed = Object.keys(EDITABLE_FIELDS)
+    .filter(field => field in changes && !isEqual(changes[field], this[field]));
+
+  changed.forEach(field => {
+    this.audit.push({
+      user: get(user, '_id'),
+      username: get(user, 'username'),
+      field,
+      oldValue: this[field],
+      newValue: changes[field],
+    });
+    this[field] = changes[field];
+  });
+
+  if (changed.length) {
+    this.updatedAt = new Date();
+  }
+
+  return changed;
+};
+// endregion
+
+EngineSettings.statics.EDITABLE_FIELDS = Object.keys(EDITABLE_FIELDS);
+
+module.exports = mongoose.model('EngineSettings', EngineSettings);
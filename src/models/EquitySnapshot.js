@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Broker account values of a user at a point in time
+ */
+const EquitySnapshot = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  date: { type: Date, default: Date.now },
+  equity: { type: Number, required: true },
+  cash: { type: Number },
+  buyingPower: { type: Number },
+  /**
+   * Market value of the open positions
+   */
+  marketValue: { type: Number },
+  /**
+   * Number of open positions
+   */
+  positions: { type: Number },
+  /**
+   * Whether the snapshot was taken once the regular session closed, used for the daily returns
+   */
+  endOfDay: { type: Boolean, default: false },
+}, { versionKey: false });
+
+EquitySnapshot.index({ user: 1, date: 1 });
+
+module.exports = mongoose.model('EquitySnapshot', EquitySnapshot);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const { EVALUATION_RETENTION_DAYS = 7 } = require('../config/env');
+
+/**
+ * Outcome of a rule on an engine cycle, recorded to find out why a rule did or didn't trade
+ */
+const Evaluation = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  trade: { type: mongoose.Schema.Types.ObjectId, ref: 'Trade' },
+  symbol: { type: String },
+  /**
+   * Quote prices and volume, plus the quote values the buy and sell patterns of the rule reference
+   */
+  quote: { type: mongoose.Schema.Types.Mixed },
+  /**
+   * Buy and sell pattern results. Null when the rule has no such pattern
+   */
+  patterns: {
+    buy: { type: Boolean },
+    sell: { type: Boolean },
+  },
+  /**
+   * Trade thresholds at the time of the evaluation
+   */
+  riskValue: { type: Number },
+  profitValue: { type: Number },
+  /**
+   * skip, wait, reprice, cancel, buy, sell, follow, hold or error
+   */
+  decision: { type: String, required: true },
+  reason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  /**
+   * Records are removed by Mongo once expired, see `EVALUATION_RETENTION_DAYS`
+   */
+  expiresAt: { type: Date, expires: 0 },
+}, { versionKey: false });
+
+Evaluation.index({ rule: 1, createdAt: -1 });
+
+// region HOOKS
+Evaluation.pre('save', function (next) {
+  if (!this.expiresAt) {
+    this.expiresAt = moment(this.createdAt).add(EVALUATION_RETENTION_DAYS, 'days').toDate();
+  }
+  next();
+});
+// endregion
+
+module.exports = mongoose.model('Evaluation', Evaluation);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const { LOG_RETENTION_DAYS = 30, LOG_DEBUG_RETENTION_DAYS = 1 } = require('../config/env');
+
+/**
+ * Log levels, from the most to the least verbose
+ */
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Structured log record written by the `LogService`
+ */
+const Log = new mongoose.Schema({
+  level: { type: String, enum: LEVELS, required: true, index: true },
+  message: { type: String, required: true },
+  /**
+   * Context the record belongs to, when known
+   */
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule', index: true },
+  trade: { type: mongoose.Schema.Types.ObjectId, ref: 'Trade' },
+  symbol: { type: String },
+  /**
+   * Any other structured value, e.g. prices or the error stack
+   */
+  data: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, index: true },
+  /**
+   * Records are removed by Mongo once expired, see `LOG_RETENTION_DAYS` and `LOG_DEBUG_RETENTION_DAYS`
+   */
+  expiresAt: { type: Date, expires: 0 },
+}, { versionKey: false });
+
+// region HOOKS
+Log.pre('save', function (next) {
+  if (!this.expiresAt) {
+    const days = this.level === 'debug' ? LOG_DEBUG_RETENTION_DAYS : LOG_RETENTION_DAYS;
+    this.expiresAt = moment(this.createdAt).add(days, 'days').toDate();
+  }
+  next();
+});
+// endregion
+
+Log.statics.LEVELS = LEVELS;
+
+module.exports = mongoose.model('Log', Log);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { ORDER_STATES, ORDER_TYPES, TIME_IN_FORCE } = require('../services/brokers/BrokerAdapter');
+
+/**
+ * Allowed state transitions. Filled, cancelled and rejected orders are final
+ */
+const TRANSITIONS = {
+  [ORDER_STATES.PENDING]: [
+    ORDER_STATES.SUBMITTED,
+    ORDER_STATES.PARTIALLY_FILLED,
+    ORDER_STATES.FILLED,
+    ORDER_STATES.CANCELLED,
+    ORDER_STATES.REJECTED,
+  ],
+  [ORDER_STATES.SUBMITTED]: [
+    ORDER_STATES.PARTIALLY_FILLED,
+    ORDER_STATES.FILLED,
+    ORDER_STATES.CANCELLED,
+    ORDER_STATES.REJECTED,
+  ],
+  [ORDER_STATES.PARTIALLY_FILLED]: [ORDER_STATES.FILLED, ORDER_STATES.CANCELLED],
+  [ORDER_STATES.FILLED]: [],
+  [ORDER_STATES.CANCELLED]: [],
+  [ORDER_STATES.REJECTED]: [],
+};
+
+const Order = new mongoose.Schema({
+  /**
+   * User id
+   */
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  /**
+   * Id of the Rule that submitted the order
+   */
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule', required: true, index: true },
+  /**
+   * Trade the order belongs to. Only populated once the trade exists
+   */
+  trade: { type: mongoose.Schema.Types.ObjectId, ref: 'Trade', index: true },
+  symbol: { type: String },
+  /**
+   * Broker name and order id, populated once the broker accepts the order
+   */
+  broker: { type: String },
+  brokerId: { type: String, index: true },
+  refId: { type: String },
+  side: { type: String, enum: ['buy', 'sell'], required: true },
+  type: { type: String, enum: Object.values(ORDER_TYPES), required: true },
+  timeInForce: { type: String, enum: Object.values(TIME_IN_FORCE) },
+  /**
+   * Limit, stop and trailing values requested
+   */
+  price: { type: Number },
+  stopPrice: { type: Number },
+  trailPercent: { type: Number },
+  quantity: { type: Number, required: true },
+  filledQuantity: { type: Number, default: 0 },
+  averagePrice: { type: Number },
+  state: { type: String, enum: Object.values(ORDER_STATES), default: ORDER_STATES.PENDING, index: true },
+  /**
+   * State changes history
+   */
+  transitions: [{
+    from: String,
+    to: String,
+    date: { type: Date, default: Date.now },
+  }],
+  /**
+   * Reason the order was rejected or cancelled by the engine, if any
+   */
+  reason: { type: String },
+  /**
+   * Order placed in place of this one when repriced
+   */
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  submittedAt: { type: Date },
+  filledAt: { type: Date },
+  cancelledAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+// region HOOKS
+Order.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+// endregion
+
+// region METHODS
+/**
+ * Whether the order reached a final state
+ * @returns {boolean}
+ */
+Order.methods.isFinal = function () {
+  return !TRANSITIONS[this.state].length;
+};
+
+/**
+ * Moves the order to a new state
+ * @param state - One of ORDER_STATES
+ * @param date
+ * @throws {Error} When the transition is not allowed
+ */
+Order.methods.transition = function (state, date = new Date()) {
+  if (state === this.state) {
+    return;
+  }
+  if (!TRANSITIONS[this.state].includes(state)) {
+    throw new Error(`Invalid order transition ${this.state} => ${state} for order ${this._id}`);
+  }
+
+  this.transitions.push({ from: this.state, to: state, date });
+  this.state = state;
+
+  if (state === ORDER_STATES.SUBMITTED) {
+    this.submittedAt = date;
+  } else if (state === ORDER_STATES.FILLED) {
+    this.filledAt = date;
+  } else if ([ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED].includes(state)) {
+    this.cancelledAt = date;
+  }
+};
+
+/**
+ * Updates the order from a normalized broker order. Broker states that don't move the order forward are ignored,
+ * e.g. a pending cancel reported as submitted after a partial fill
+ * @param {Order} brokerOrder - See `BrokerAdapter`
+ */
+Order.methods.applyBrokerOrder = function (brokerOrder) {
+  this.brokerId = brokerOrder.id;
+  this.filledQuantity = brokerOrder.filledQuantity;
+  if (brokerOrder.averagePrice) {
+    this.averagePrice = brokerOrder.averagePrice;
+  }
+  if (TRANSITIONS[this.state].includes(brokerOrder.state)) {
+    this.transition(brokerOrder.state, brokerOrder.updatedAt || new Date());
+  }
+};
+// endregion
+
+Order.statics.TRANSITIONS = TRANSITIONS;
+
+module.exports = mongoose.model('Order', Order);
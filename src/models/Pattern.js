@@ -1,8 +1,41 @@
 const mongoose = require('mongoose');
+const { compile } = require('../services/patternLanguage');
 
 const Pattern = new mongoose.Schema({
   query: { type: String, required: true },
   name: String,
+  /**
+   * Language the query is written in
+   * - json: mingo query as JSON with `{{field}}` placeholders
+   * - expression: human readable expression, see `services/patternLanguage`
+   */
+  syntax: { type: String, enum: ['json', 'expression'], default: 'json' },
 }, { versionKey: false });
 
+// region HOOKS
+/**
+ * Rejects expressions that do not compile and JSON queries that do not parse.
+ * JSON placeholders are replaced by dummy values, since they are only resolved at evaluation time
+ */
+Pattern.pre('validate', function (next) {
+  if (!this.query) {
+    return next();
+  }
+
+  try {
+    if (this.syntax === 'expression') {
+      compile(this.query);
+    } else {
+      JSON.parse(this.query
+        .replace(/"{{.+?}}"/g, '0')
+        .replace(/{{.+?}}/g, 'null'));
+    }
+  } catch (error) {
+    this.invalidate('query', `Invalid ${this.syntax} pattern. ${error.message}`, this.query);
+  }
+
+  return next();
+});
+// endregion
+
 module.exports = mongoose.model('Pattern', Pattern);
@@ -1,9 +1,38 @@
 const mongoose = require('mongoose');
 const uuid = require('uuid/v1');
 const crypto = require('crypto');
-const { getInstrumentBySymbol, getWithAuth, getJSON } = require('../services/rhApiService');
+const { getUserBroker, ORDER_TYPES, TIME_IN_FORCE } = require('../services/brokers');
+const indicators = require('../services/indicators');
 const { ONE_MINUTE, FIVE_SECONDS } = require('../services/utils');
 
+/**
+ * Required field validators based on the sizing mode
+ */
+function isFixedSizing() {
+  return !this.sizing || !this.sizing.mode || this.sizing.mode === 'shares';
+}
+const requiredBySizing = (mode) => function () {
+  return !!this.sizing && this.sizing.mode === mode;
+};
+
+/**
+ * Order settings used to enter or exit a trade
+ */
+const OrderSettings = {
+  /**
+   * - market
+   * - limit: priced `limitOffset`% through the last price
+   * - stop: market order triggered `stopOffset`% above (buy) or below (sell) the last price
+   * - stop_limit: limit order priced `limitOffset`% through the stop price
+   * - trailing_stop: broker side stop trailing the price by `trailPercent`%
+   */
+  type: { type: String, enum: Object.values(ORDER_TYPES), default: ORDER_TYPES.LIMIT },
+  timeInForce: { type: String, enum: Object.values(TIME_IN_FORCE), default: TIME_IN_FORCE.GTC },
+  limitOffset: { type: Number, min: 0, default: 0.01 },
+  stopOffset: { type: Number, min: 0 },
+  trailPercent: { type: Number, min: 0 },
+};
+
 const Rule = new mongoose.Schema({
   /**
    * Rule name
@@ -24,7 +53,7 @@ const Rule = new mongoose.Schema({
    */
   overrideDayTradeChecks: { type: Boolean, default: false },
   /**
-   * Instrument in RB
+   * Instrument in the user's broker. Url is only populated for brokers that expose instrument urls
    */
   instrumentId: { type: String },
   instrumentUrl: { type: String },
@@ -37,9 +66,33 @@ const Rule = new mongoose.Schema({
    */
   refId: { type: String, index: { unique: true } },
   /**
-   * Number of shares to trade
+   * Number of shares to trade, required when sizing mode is 'shares'
    */
-  numberOfShares: { type: Number, required: true },
+  numberOfShares: { type: Number, required: isFixedSizing },
+  /**
+   * How the number of shares is computed when entering a trade
+   */
+  sizing: {
+    /**
+     * - shares: fixed `numberOfShares`
+     * - amount: fixed dollar amount
+     * - buyingPower: percentage of the account buying power
+     * - risk: derived from the max dollar loss and `limits.riskPercentage`
+     */
+    mode: { type: String, enum: ['shares', 'amount', 'buyingPower', 'risk'], default: 'shares' },
+    /**
+     * Dollar amount to invest, used by 'amount' mode
+     */
+    amount: { type: Number, min: 0, required: requiredBySizing('amount') },
+    /**
+     * Percentage of the account buying power to invest, used by 'buyingPower' mode
+     */
+    percentage: { type: Number, min: 0, max: 100, required: requiredBySizing('buyingPower') },
+    /**
+     * Max dollar loss when `limits.riskPercentage` is reached, used by 'risk' mode
+     */
+    maxLoss: { type: Number, min: 0, required: requiredBySizing('risk') },
+  },
   /**
    * Rule enabled flag
    */
@@ -48,6 +101,60 @@ const Rule = new mongoose.Schema({
    * Frequency in which this rule should be executed
    */
   frequency: { type: Number, enum: [ONE_MINUTE, FIVE_SECONDS], index: true, default: ONE_MINUTE },
+  /**
+   * Extra indicators computed for this rule's symbol, on top of the default ones.
+   * Results are available to patterns e.g. 'ema:9' => `ema_9`, 'macd:5:35:5' => `macd_5_35_5`
+   * @example ['ema:9', 'rsi:7']
+   */
+  indicators: {
+    type: [String],
+    validate: {
+      validator: specs => specs.every(spec => {
+        try {
+          return !!indicators.parseSpec(spec);
+        } catch (error) {
+          return false;
+        }
+      }),
+      message: props => `Invalid indicators: ${props.value}`,
+    },
+  },
+  /**
+   * Number of past quotes patterns can look back to for this rule's symbol, e.g. `close_prev3` or `volume_avg_10`.
+   * Defaults to `QUOTE_HISTORY_SIZE`
+   */
+  historySize: { type: Number, min: 1, max: 100 },
+  /**
+   * Order used to enter a trade
+   */
+  entryOrder: OrderSettings,
+  /**
+   * Order used to exit a trade. Selling before market close always uses a limit order
+   */
+  exitOrder: OrderSettings,
+  /**
+   * Repricing policy of unfilled limit orders. When disabled, unfilled orders are canceled on the next cycle
+   */
+  chase: {
+    enabled: { type: Boolean, default: false },
+    /**
+     * Seconds an order is left unfilled before being repriced
+     */
+    afterSeconds: { type: Number, min: 0, default: 10 },
+    /**
+     * Percentage of the price the limit price moves toward the current quote on each attempt
+     */
+    stepPercentage: { type: Number, min: 0, default: 0.05 },
+    maxAttempts: { type: Number, min: 0, default: 3 },
+    /**
+     * Max percentage between the original and the new limit price
+     */
+    maxSlippage: { type: Number, min: 0, default: 0.5 },
+    /**
+     * Whether exits fall back to a market order once attempts or slippage are exhausted
+     */
+    marketFallback: { type: Boolean, default: true },
+  },
   /**
    * Limit management
    */
@@ -83,6 +190,12 @@ const Rule = new mongoose.Schema({
    * Whether to hold the stock overnight or sell all shares before market closes
    */
   holdOvernight: { type: Boolean, default: true },
+  /**
+   * Whether to trade during pre and post market, overrides `User.useExtendedHours` when set.
+   * Orders sent outside regular hours are day limit orders, and selling before market close happens before the
+   * extended session closes
+   */
+  extendedHours: { type: Boolean, default: null },
   strategy: {
     /**
      * Pattern to enter a trade
@@ -97,22 +210,42 @@ const Rule = new mongoose.Schema({
 
 // region HOOKS
 /**
- * Populates refId, instrumentId and instrumentUrl if not present
+ * Validates the order settings of each type
+ */
+Rule.pre('validate', function (next) {
+  ['entryOrder', 'exitOrder'].forEach((path) => {
+    const { type, timeInForce, stopOffset, trailPercent } = this.get(path) || {};
+
+    if ([ORDER_TYPES.STOP, ORDER_TYPES.STOP_LIMIT].includes(type) && !(stopOffset >= 0)) {
+      this.invalidate(`${path}.stopOffset`, `stopOffset is required for ${type} orders`, stopOffset);
+    }
+    if (type === ORDER_TYPES.TRAILING_STOP && !(trailPercent > 0)) {
+      this.invalidate(`${path}.trailPercent`, 'trailPercent is required for trailing_stop orders', trailPercent);
+    }
+    if (timeInForce === TIME_IN_FORCE.IOC && ![ORDER_TYPES.MARKET, ORDER_TYPES.LIMIT].includes(type)) {
+      this.invalidate(`${path}.timeInForce`, `ioc is only supported by market and limit orders, not ${type}`, timeInForce);
+    }
+  });
+  next();
+});
+
+/**
+ * Populates refId, instrumentId, instrumentUrl and exchange if not present
  */
 Rule.post('save', async function (doc) {
-  if (!(doc.refId && doc.instrumentId && doc.instrumentUrl)) {
+  if (!(doc.refId && doc.instrumentId)) {
     if (!doc.refId) {
       doc.set('refId', crypto.randomBytes(6).toString('hex'));
     }
 
-    if (!doc.instrumentId || !doc.instrumentUrl) {
-      const instrument = await getInstrumentBySymbol(doc.symbol);
+    if (!doc.instrumentId) {
+      const user = await mongoose.model('User').findById(doc.user).lean();
+      const instrument = await getUserBroker(user).getInstrument(user, doc.symbol);
       doc.set('instrumentUrl', instrument.url);
       doc.set('instrumentId', instrument.id);
 
       if (!doc.exchange) {
-        const market = await getJSON(instrument.market);
-        doc.set('exchange', market.acronym);
+        doc.set('exchange', instrument.exchange);
       }
     }
     await doc.save();
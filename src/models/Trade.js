@@ -5,6 +5,9 @@ const Trade = new mongoose.Schema({
    * Price used to enter the trade
    */
   buyPrice: { type: Number },
+  /**
+   * Broker id of the current buy order
+   */
   buyOrderId: { type: String },
   buyDate: { type: Date },
   createdAt: { type: Date },
@@ -12,8 +15,27 @@ const Trade = new mongoose.Schema({
    * Price used to exit the trade
    */
   sellPrice: { type: Number },
+  /**
+   * Broker id of the current sell order
+   */
   sellOrderId: { type: String },
+  /**
+   * Broker id of the working protective stop, see `rule.exitOrder`. Becomes the sell order once filled
+   */
+  stopOrderId: { type: String },
   sellDate: { type: Date },
+  /**
+   * Why the trade was closed outside of the rule strategy, if it was
+   */
+  exitReason: { type: String },
+  /**
+   * Closed by the reconciliation without a known sell fill, so without sell price. Left out of analytics and exports
+   */
+  reconciled: { type: Boolean },
+  /**
+   * Every order submitted for this trade, including canceled and repriced ones
+   */
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
   /**
    * Whether the trade has ended
    */
@@ -39,11 +61,35 @@ const Trade = new mongoose.Schema({
    */
   rule: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule', required: true, index: true },
   gainPercent: { type: Number },
+  /**
+   * Rule sizing mode used to compute the number of shares, see `Rule.sizing.mode`
+   */
+  sizingMode: { type: String },
+  /**
+   * Number of shares requested on the buy order
+   */
+  requestedShares: { type: Number },
   /**
    * Amount of shares filled thus far
    */
   boughtShares: { type: Number, default: 0 },
   soldShares: { type: Number, default: 0 },
+  /**
+   * Unfilled limit orders replaced at a new price, see `Rule.chase`
+   */
+  repricings: [{
+    side: { type: String, enum: ['buy', 'sell'] },
+    previousOrderId: String,
+    previousPrice: Number,
+    orderId: String,
+    /**
+     * New limit price, null when falling back to a market order
+     */
+    price: Number,
+    type: String,
+    attempt: Number,
+    date: { type: Date, default: Date.now },
+  }],
 }, { versionKey: false });
 
 Trade.index(
@@ -59,7 +105,8 @@ Trade.pre('save', async function (next) {
   const trade = this;
   const { sellPrice, buyPrice, completed, createdAt } = trade;
 
-  if (completed) {
+  // Trades closed by the reconciliation may have no sell price
+  if (completed && Number.isFinite(sellPrice)) {
     trade.gainPercent = ((sellPrice - buyPrice)/buyPrice) * 100;
   }
 
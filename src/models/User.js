@@ -2,19 +2,69 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const { SALT_WORK_FACTOR } = require('../config/env');
 const Utils = require('../services/utils');
+const { channelNames, NOTIFICATION_EVENTS } = require('../services/notifications');
+const { brokerNames } = require('../services/brokers');
 
 const User = new mongoose.Schema({
   username: { type: String, required: true },
   password: { type: String, required: true },
   role: { type: String, required: true },
+  /**
+   * Whether rules trade during pre and post market, unless overridden by `Rule.extendedHours`
+   */
   useExtendedHours: { type: Boolean, default: false },
   brokerConfig: {
     username: String,
     password: String,
     client_id: String,
-    name: String,
+    /**
+     * Broker adapter to use for this user, robinhood when empty
+     * @example 'robinhood', 'alpaca'
+     */
+    name: { type: String, lowercase: true, enum: brokerNames },
     device_token: String,
+    /**
+     * Optional broker API base url override
+     */
+    apiBase: String,
   },
+  /**
+   * Account level risk limits, checked before every new entry. Once a limit is hit, new entries
+   * are disabled for the rest of the day. Empty values disable the limit
+   */
+  riskSettings: {
+    /**
+     * Max realized dollar loss per day
+     */
+    maxDailyLoss: { type: Number, min: 0 },
+    /**
+     * Max number of open trades at the same time
+     */
+    maxOpenTrades: { type: Number, min: 0 },
+    /**
+     * Max dollar amount invested in open trades
+     */
+    maxExposure: { type: Number, min: 0 },
+    /**
+     * Max number of orders per day
+     */
+    maxOrdersPerDay: { type: Number, min: 0 },
+  },
+  /**
+   * Channels the user is notified on. The email channel sends with `emailConfig`
+   */
+  notifications: [{
+    channel: { type: String, enum: channelNames, required: true },
+    enabled: { type: Boolean, default: true },
+    /**
+     * Subscribed events, every notified event when empty
+     */
+    events: [{ type: String, enum: NOTIFICATION_EVENTS }],
+    /**
+     * Slack incoming webhook or HTTP webhook url
+     */
+    url: String,
+  }],
   emailConfig: {
     enabled: String,
     service: String,
@@ -1,3 +1,4 @@
+const Order = require('../Order');
 const Rule = require('../Rule');
 const Trade = require('../Trade');
 
@@ -13,11 +14,57 @@ const getActiveRulesByFrequency = (frequency) => Rule
   .populate('strategy.in')
   .populate('strategy.out');
 
+const getRuleWithPatterns = (id) => Rule
+  .findById(id)
+  .populate('strategy.in')
+  .populate('strategy.out');
+
 const getIncompleteTrades = () => Trade
   .find({ completed: false });
 
+const getUserIncompleteTrades = (userId) => Trade
+  .find({ user: userId, completed: false });
+
+/**
+ * Trades of a user entered or exited since a given date
+ */
+const getUserTradesSince = (userId, date) => Trade
+  .find({ user: userId, $or: [{ createdAt: { $gte: date } }, { sellDate: { $gte: date } }] });
+
+/**
+ * Orders not in a final state, by broker order id
+ */
+const getOpenOrdersByBrokerIds = (brokerIds) => Order
+  .find({ brokerId: { $in: brokerIds }, state: { $nin: ['filled', 'cancelled', 'rejected'] } });
+
+/**
+ * Orders acknowledged by the broker and not in a final state
+ * @param filter - e.g. `{ user, rule }`
+ */
+const getOpenOrders = (filter = {}) => Order
+  .find({ ...filter, brokerId: { $ne: null }, state: { $nin: ['filled', 'cancelled', 'rejected'] } });
+
+/**
+ * Buy orders of trades, cancelled and rejected orders excluded
+ */
+const getTradesBuyOrders = (tradeIds) => Order
+  .find({ trade: { $in: tradeIds }, side: 'buy', state: { $nin: ['cancelled', 'rejected'] } });
+
+/**
+ * Number of orders a user submitted since a given date, rejected orders excluded
+ */
+const countUserOrdersSince = (userId, date) => Order
+  .countDocuments({ user: userId, createdAt: { $gte: date }, state: { $ne: 'rejected' } });
+
 module.exports = {
   getActiveRules,
   getIncompleteTrades,
   getActiveRulesByFrequency,
+  getRuleWithPatterns,
+  getUserIncompleteTrades,
+  getUserTradesSince,
+  getOpenOrdersByBrokerIds,
+  countUserOrdersSince,
+  getOpenOrders,
+  getTradesBuyOrders,
 };
\ No newline at end of file
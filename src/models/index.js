@@ -1,3 +1,8 @@
+const EngineSettings = require('./EngineSettings');
+const EquitySnapshot = require('./EquitySnapshot');
+const Evaluation = require('./Evaluation');
+const Log = require('./Log');
+const Order = require('./Order');
 const Pattern = require('./Pattern');
 const Trade = require('./Trade');
 const Rule = require('./Rule');
@@ -5,6 +10,11 @@ const User = require('./User');
 const queries = require('./helper/queries');
 
 module.exports = {
+  EngineSettings,
+  EquitySnapshot,
+  Evaluation,
+  Log,
+  Order,
   Pattern,
   Rule,
   Trade,
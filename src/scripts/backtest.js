@@ -0,0 +1,54 @@
+/**
+ * Runs a backtest from the command line
+ * Usage:
+ *   npm run backtest -- --rule <rule.json|ruleId> --bars <bars.csv|bars.json> [--continue]
+ * When --rule is not a file it is treated as a rule id and the rule is loaded from the DB
+ */
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const backtester = require('../engine/backtester');
+const historicalData = require('../services/historicalDataService');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : null;
+};
+
+const loadRule = async (ruleArg) => {
+  if (fs.existsSync(ruleArg)) {
+    return JSON.parse(fs.readFileSync(ruleArg, 'utf8'));
+  }
+
+  const { DB } = require('../config/env');
+  const { queries: { getRuleWithPatterns } } = require('../models');
+  await mongoose.connect(DB, { useNewUrlParser: true });
+  const rule = await getRuleWithPatterns(ruleArg);
+  await mongoose.disconnect();
+
+  if (!rule) {
+    throw new Error(`Rule not found: ${ruleArg}`);
+  }
+
+  return rule;
+};
+
+const main = async () => {
+  const ruleArg = getArg('rule');
+  const barsArg = getArg('bars');
+
+  if (!ruleArg || !barsArg) {
+    console.log('Usage: npm run backtest -- --rule <rule.json|ruleId> --bars <bars.csv|bars.json> [--continue]');
+    process.exit(1);
+  }
+
+  const [rule, bars] = await Promise.all([loadRule(ruleArg), historicalData.loadFile(barsArg)]);
+  const result = backtester.run(rule, bars, { continueAfterSold: process.argv.includes('--continue') });
+
+  console.log(JSON.stringify(result, null, 2));
+};
+
+main().catch(error => {
+  console.log(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+const moment = require('moment');
+const { get, groupBy, meanBy, sortBy, sumBy } = require('lodash');
+
+const { Trade } = require('../models');
+
+const PERIODS = ['day', 'week', 'month'];
+const GROUPS = {
+  user: trade => String(get(trade, 'user')),
+  rule: trade => String(get(trade, 'rule._id', trade.rule)),
+  symbol: trade => get(trade, 'rule.symbol', null),
+};
+
+/**
+ * Performance metrics of the closed trades
+ */
+class AnalyticsService {
+  /**
+   * Realized dollar P&L of a trade
+   * @param trade
+   * @returns {number}
+   */
+  getProfit(trade) {
+    return (trade.sellPrice - trade.buyPrice) * (trade.soldShares || 0);
+  }
+
+  /**
+   * @param trades - Closed trades
+   * @returns {Object} Trades count, win rate (%), average win and loss ($), profit factor, realized P&L ($),
+   * max drawdown ($), average holding time (minutes) and expectancy ($ per trade)
+   */
+  summarize(trades) {
+    const sorted = sortBy(trades, 'sellDate');
+    const profits = sorted.map(t => this.getProfit(t));
+    const wins = profits.filter(p => p > 0);
+    const losses = profits.filter(p => p < 0);
+    const grossProfit = sumBy(wins);
+    const grossLoss = Math.abs(sumBy(losses));
+    const held = trades.filter(t => t.buyDate && t.sellDate);
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+
+    profits.forEach(profit => {
+      cumulative += profit;
+      peak = Math.max(peak, cumulative);
+      maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    });
+
+    return {
+      trades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: trades.length ? (wins.length / trades.length) * 100 : 0,
+      averageWin: wins.length ? grossProfit / wins.length : 0,
+      averageLoss: losses.length ? -grossLoss / losses.length : 0,
+      profitFactor: grossLoss ? grossProfit / grossLoss : null,
+      realizedPnL: cumulative,
+      maxDrawdown,
+      averageHoldingMinutes: held.length ? meanBy(held, t => moment(t.sellDate).diff(t.buyDate, 'minutes', true)) : 0,
+      expectancy: trades.length ? cumulative / trades.length : 0,
+    };
+  }
+
+  /**
+   * Closed trades, with their rule name and symbol. Trades closed by the reconciliation without a sell price are left out
+   * @param filter - `{ user, rule, symbol, from, to }`, dates matching the sell date
+   * @returns {Promise<Object[]>}
+   */
+  async getClosedTrades({ user, rule, symbol, from, to } = {}) {
+    const query = { completed: true, reconciled: { $ne: true }, buyPrice: { $ne: null }, sellPrice: { $ne: null } };
+
+    if (user) {
+      query.user = user;
+    }
+    if (rule) {
+      query.rule = rule;
+    }
+    if (from || to) {
+      query.sellDate = {};
+      if (from) {
+        query.sellDate.$gte = new Date(from);
+      }
+      if (to) {
+        query.sellDate.$lte = new Date(to);
+      }
+    }
+
+    return (await Trade.find(query).sort({ sellDate: 1 }).populate('rule', 'name symbol').lean())
+      .filter(t => !symbol || get(t, 'rule.symbol') === symbol.toUpperCase());
+  }
+
+  /**
+   * Metrics of the closed trades matching the filter, in total, by period and by user, rule or symbol
+   * @param filter - See @method getClosedTrades
+   * @param options
+   * @param options.period - Groups the metrics by 'day', 'week' or 'month'
+   * @param options.by - Groups the metrics by 'user', 'rule' or 'symbol'
+   * @returns {Promise<{ summary: Object, periods: (Object[]|undefined), groups: (Object[]|undefined) }>}
+   */
+  async getReport(filter = {}, { period, by } = {}) {
+    const trades = await this.getClosedTrades(filter);
+    const report = { summary: this.summarize(trades) };
+
+    if (PERIODS.includes(period)) {
+      const unit = period === 'week' ? 'isoWeek' : period;
+      const periods = groupBy(trades, t => moment(t.sellDate).startOf(unit).format('YYYY-MM-DD'));
+      report.periods = Object.keys(periods).sort()
+        .map(date => ({ date, ...this.summarize(periods[date]) }));
+    }
+
+    if (GROUPS[by]) {
+      const groups = groupBy(trades, GROUPS[by]);
+      report.groups = Object.keys(groups)
+        .map(key => ({ [by]: key, name: by === 'rule' ? get(groups[key], '0.rule.name') : undefined, ...this.summarize(groups[key]) }));
+    }
+
+    return report;
+  }
+}
+
+module.exports = new AnalyticsService();
+module.exports.PERIODS = PERIODS;
+module.exports.GROUPS = Object.keys(GROUPS);
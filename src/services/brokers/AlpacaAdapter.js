@@ -0,0 +1,276 @@
+const request = require('request-promise-native');
+const moment = require('moment');
+const { get } = require('lodash');
+
+const { marketTimes, isMarketTimesLoaded, decrypt } = require('../utils');
+const {
+  ALPACA_API_BASE = 'https://paper-api.alpaca.markets',
+  ALPACA_DATA_BASE = 'https://data.alpaca.markets',
+  ALPACA_API_KEY_ID,
+  ALPACA_API_SECRET_KEY,
+} = require('../../config/env');
+const BrokerAdapter = require('./BrokerAdapter');
+const BrokerError = require('./BrokerError');
+
+const { ORDER_STATES } = BrokerAdapter;
+const stateMap = {
+  new: ORDER_STATES.SUBMITTED,
+  accepted: ORDER_STATES.SUBMITTED,
+  pending_new: ORDER_STATES.SUBMITTED,
+  accepted_for_bidding: ORDER_STATES.SUBMITTED,
+  pending_cancel: ORDER_STATES.SUBMITTED,
+  pending_replace: ORDER_STATES.SUBMITTED,
+  calculated: ORDER_STATES.SUBMITTED,
+  partially_filled: ORDER_STATES.PARTIALLY_FILLED,
+  filled: ORDER_STATES.FILLED,
+  done_for_day: ORDER_STATES.CANCELLED,
+  canceled: ORDER_STATES.CANCELLED,
+  expired: ORDER_STATES.CANCELLED,
+  replaced: ORDER_STATES.CANCELLED,
+  stopped: ORDER_STATES.CANCELLED,
+  rejected: ORDER_STATES.REJECTED,
+  suspended: ORDER_STATES.REJECTED,
+};
+
+/**
+ * Generic REST adapter modeled after the Alpaca trading API.
+ * Broker config mapping:
+ * - brokerConfig.username => API key id
+ * - brokerConfig.password => API secret key (encrypted like any other broker password)
+ * - brokerConfig.apiBase  => optional API base override, e.g. live vs paper trading
+ */
+class AlpacaAdapter extends BrokerAdapter {
+  constructor() {
+    super('alpaca');
+  }
+
+  /**
+   * Alpaca authenticates every request with the API keys, so the "token" is the set of
+   * headers to send. The account is fetched once to validate the keys
+   */
+  auth(user) {
+    const token = this.buildHeaders(user.brokerConfig);
+    return this.request({ token, brokerConfig: user.brokerConfig }, '/v2/account')
+      .then(() => token);
+  }
+
+  getAccount(user) {
+    return this.request(user, '/v2/account')
+      .then(account => ({
+        id: account.account_number,
+        url: null,
+        buyingPower: Number(account.buying_power),
+        cash: Number(account.cash),
+        equity: Number(account.equity),
+        marketValue: Number(account.long_market_value),
+        dayTradeCount: Number(account.daytrade_count),
+        raw: account,
+      }));
+  }
+
+  getPositions(user) {
+    return this.request(user, '/v2/positions')
+      .then((positions = []) => positions.map(position => ({
+        instrumentId: position.asset_id,
+        symbol: position.symbol,
+        quantity: Number(position.qty),
+        averagePrice: Number(position.avg_entry_price),
+        marketValue: Number(position.market_value),
+        raw: position,
+      })));
+  }
+
+  getOrders(user) {
+    return this.request(user, '/v2/orders', { qs: { status: 'all', limit: 100 } })
+      .then((orders = []) => orders.map(o => this.toOrder(o)));
+  }
+
+  getOrder(user, id) {
+    return this.request(user, `/v2/orders/${id}`)
+      .then(order => this.toOrder(order));
+  }
+
+  placeOrder(user, order) {
+    const { symbol, side, type, timeInForce, quantity, price, stopPrice, trailPercent, refId } = order;
+    const body = {
+      symbol,
+      qty: quantity,
+      side,
+      type,
+      time_in_force: timeInForce,
+      client_order_id: refId,
+    };
+
+    if (price) {
+      body.limit_price = price;
+    }
+    if (stopPrice) {
+      body.stop_price = stopPrice;
+    }
+    if (trailPercent) {
+      body.trail_percent = trailPercent;
+    }
+    if (order.extendedHours) {
+      body.extended_hours = true;
+    }
+
+    return this.request(user, '/v2/orders', { method: 'POST', body })
+      .then(placed => this.toOrder(placed));
+  }
+
+  /**
+   * Alpaca replaces orders in place, as long as the order type doesn't change
+   */
+  replaceOrder(user, order, replacement) {
+    if (replacement.type !== order.type) {
+      return super.replaceOrder(user, order, replacement);
+    }
+
+    const body = {
+      qty: replacement.quantity,
+      time_in_force: replacement.timeInForce,
+      client_order_id: replacement.refId,
+    };
+    if (replacement.price) {
+      body.limit_price = replacement.price;
+    }
+
+    return this.request(user, `/v2/orders/${order.id}`, { method: 'PATCH', body })
+      .then(replaced => this.toOrder(replaced));
+  }
+
+  cancelOrder(user, order) {
+    return this.request(user, `/v2/orders/${order.id}`, { method: 'DELETE' });
+  }
+
+  getInstrument(user, symbol) {
+    return this.request(user, `/v2/assets/${symbol}`)
+      .then(asset => ({
+        id: asset.id,
+        url: null,
+        symbol: asset.symbol,
+        exchange: asset.exchange,
+        tradable: !!asset.tradable,
+      }));
+  }
+
+  /**
+   * Calendar times are given in market local time, the clock timestamp is used to get the offset.
+   * Without user, the engine level `ALPACA_API_KEY_ID` and `ALPACA_API_SECRET_KEY` keys are used
+   */
+  getMarketHours(user) {
+    if (isMarketTimesLoaded()) {
+      return Promise.resolve(marketTimes());
+    }
+    if (!user && !ALPACA_API_KEY_ID) {
+      return Promise.reject(new Error('Alpaca market hours need an authenticated user or ALPACA_API_KEY_ID'));
+    }
+    if (!user) {
+      user = { token: { 'APCA-API-KEY-ID': ALPACA_API_KEY_ID, 'APCA-API-SECRET-KEY': ALPACA_API_SECRET_KEY } };
+    }
+
+    const today = moment().format('YYYY-MM-DD');
+    return Promise.all([
+      this.request(user, '/v2/clock'),
+      this.request(user, '/v2/calendar', { qs: { start: today, end: today } }),
+    ])
+      .then(([clock, calendar = []]) => {
+        const offset = moment.parseZone(clock.timestamp).format('Z');
+        const day = calendar.find(d => d.date === today);
+        const toDate = (time = '') => moment(`${today}T${time.replace(/^(\d{2}):?(\d{2})$/, '$1:$2')}:00${offset}`);
+
+        return marketTimes({
+          opensAt: toDate(get(day, 'open', '09:30')),
+          closesAt: toDate(get(day, 'close', '16:00')),
+          extendedOpensAt: toDate(get(day, 'session_open', '04:00')),
+          extendedClosesAt: toDate(get(day, 'session_close', '20:00')),
+          isOpen: !!day,
+        });
+      });
+  }
+
+  getQuote(user, symbol) {
+    return this.request(user, `/v2/stocks/${symbol}/trades/latest`, { base: ALPACA_DATA_BASE })
+      .then(({ trade }) => ({
+        symbol,
+        close: Number(trade.p),
+        updatedAt: new Date(trade.t),
+      }));
+  }
+
+  /**
+   * @private
+   */
+  buildHeaders(brokerConfig) {
+    return {
+      'APCA-API-KEY-ID': get(brokerConfig, 'username'),
+      'APCA-API-SECRET-KEY': decrypt(get(brokerConfig, 'password')),
+    };
+  }
+
+  /**
+   * Authenticated request against the user's Alpaca API
+   * @private
+   */
+  request(user, path, { method = 'GET', base, qs, body } = {}) {
+    const options = {
+      json: true,
+      method,
+      headers: user.token || this.buildHeaders(user.brokerConfig),
+      uri: `${base || get(user, 'brokerConfig.apiBase') || ALPACA_API_BASE}${path}`,
+      qs,
+      body,
+    };
+
+    return request(options)
+      .catch(error => this.handleError(error));
+  }
+
+  /**
+   * @returns {Order}
+   * @private
+   */
+  toOrder(order) {
+    return {
+      id: order.id,
+      refId: order.client_order_id,
+      symbol: order.symbol,
+      instrumentId: order.asset_id,
+      side: order.side,
+      type: order.type,
+      timeInForce: order.time_in_force,
+      state: stateMap[order.status] || ORDER_STATES.PENDING,
+      price: order.limit_price ? Number(order.limit_price) : null,
+      stopPrice: order.stop_price ? Number(order.stop_price) : null,
+      trailPercent: order.trail_percent ? Number(order.trail_percent) : null,
+      averagePrice: order.filled_avg_price ? Number(order.filled_avg_price) : null,
+      quantity: Number(order.qty),
+      filledQuantity: Number(order.filled_qty || 0),
+      createdAt: new Date(order.created_at),
+      updatedAt: new Date(order.updated_at),
+      raw: order,
+    };
+  }
+
+  /**
+   * Translates Alpaca error responses into BrokerError codes
+   * @private
+   */
+  handleError(error) {
+    const message = get(error, 'error.message') || get(error, 'message', '');
+    const statusCode = get(error, 'statusCode');
+    let code = BrokerError.UNKNOWN;
+
+    if (statusCode === 429) {
+      code = BrokerError.THROTTLED;
+    } else if (/insufficient qty/i.test(message)) {
+      code = BrokerError.INSUFFICIENT_SHARES;
+    } else if (/not (tradable|active)/i.test(message)) {
+      code = BrokerError.NOT_TRADABLE;
+    }
+
+    throw new BrokerError(message, code, this.name);
+  }
+}
+
+module.exports = AlpacaAdapter;
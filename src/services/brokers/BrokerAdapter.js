@@ -0,0 +1,214 @@
+/**
+ * Normalized order states used across the engine, regardless of the broker
+ */
+const ORDER_STATES = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Normalized order types
+ */
+const ORDER_TYPES = {
+  MARKET: 'market',
+  LIMIT: 'limit',
+  STOP: 'stop',
+  STOP_LIMIT: 'stop_limit',
+  TRAILING_STOP: 'trailing_stop',
+};
+
+/**
+ * Normalized time in force values
+ */
+const TIME_IN_FORCE = {
+  DAY: 'day',
+  GTC: 'gtc',
+  IOC: 'ioc',
+};
+
+/**
+ * Base broker adapter. Every broker supported by the engine extends this class and
+ * translates its own API payloads into the normalized objects described below.
+ *
+ * @typedef {Object} Order
+ * @property {string} id - Broker order id
+ * @property {string} refId - Client reference id given when the order was placed
+ * @property {string} symbol
+ * @property {string} instrumentId
+ * @property {'buy'|'sell'} side
+ * @property {string} type - One of ORDER_TYPES
+ * @property {string} timeInForce - One of TIME_IN_FORCE
+ * @property {string} state - One of ORDER_STATES
+ * @property {number} price - Limit price, if any
+ * @property {number} stopPrice - Stop price, if any
+ * @property {number} trailPercent - Trailing stop percentage, if any
+ * @property {number} averagePrice - Average fill price, if any
+ * @property {number} quantity - Requested quantity
+ * @property {number} filledQuantity - Cumulative filled quantity
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ * @property {Object} raw - Original broker payload
+ *
+ * @typedef {Object} Position
+ * @property {string} instrumentId
+ * @property {string} symbol - Only populated when the broker provides it
+ * @property {number} quantity
+ * @property {number} averagePrice
+ * @property {number} marketValue - Only populated when the broker provides it
+ * @property {Object} raw
+ *
+ * @typedef {Object} Account
+ * @property {string} id - Account number
+ * @property {string} url - Account resource url, if any
+ * @property {number} buyingPower
+ * @property {number} cash
+ * @property {number} equity
+ * @property {number} marketValue - Market value of the open positions, null if unknown
+ * @property {number} dayTradeCount - Day trades in the last 5 business days as reported by the broker, null if unknown
+ * @property {Object} raw
+ *
+ * @typedef {Object} Instrument
+ * @property {string} id
+ * @property {string} url - Instrument resource url, if any
+ * @property {string} symbol
+ * @property {string} exchange - Exchange acronym e.g. 'NASDAQ'
+ * @property {boolean} tradable
+ */
+class BrokerAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Authenticates the user against the broker
+   * @param user
+   * @returns {Promise} Resolves to a token that is stored in `user.token` by the engine
+   */
+  auth(user) {
+    return this.notImplemented('auth', user);
+  }
+
+  /**
+   * @param user
+   * @returns {Promise<Account>}
+   */
+  getAccount(user) {
+    return this.notImplemented('getAccount', user);
+  }
+
+  /**
+   * @param user
+   * @returns {Promise<Position[]>} Non zero positions only
+   */
+  getPositions(user) {
+    return this.notImplemented('getPositions', user);
+  }
+
+  /**
+   * @param user
+   * @returns {Promise<Order[]>} Recent orders
+   */
+  getOrders(user) {
+    return this.notImplemented('getOrders', user);
+  }
+
+  /**
+   * @param user
+   * @param id
+   * @returns {Promise<Order>}
+   */
+  getOrder(user, id) {
+    return this.notImplemented('getOrder', user, id);
+  }
+
+  /**
+   * Places an order
+   * @param user
+   * @param {Object} order
+   * @param {Object} order.account - Normalized account
+   * @param {string} order.symbol
+   * @param {string} order.instrumentId
+   * @param {string} order.instrumentUrl
+   * @param {'buy'|'sell'} order.side
+   * @param {string} order.type - One of ORDER_TYPES
+   * @param {string} order.timeInForce - One of TIME_IN_FORCE
+   * @param {number} order.quantity
+   * @param {string} order.price - Limit price, for limit and stop_limit orders
+   * @param {string} order.stopPrice - Stop price, for stop and stop_limit orders
+   * @param {number} order.trailPercent - Trailing percentage, for trailing_stop orders
+   * @param {string} order.refId
+   * @param {boolean} order.overrideDayTradeChecks
+   * @param {boolean} order.extendedHours - Whether the order may fill during pre and post market
+   * @returns {Promise<Order>}
+   */
+  placeOrder(user, order) {
+    return this.notImplemented('placeOrder', user, order);
+  }
+
+  /**
+   * Replaces an open order. Cancels it and places the new one, unless the broker supports replacing orders
+   * @param user
+   * @param {Order} order - Order to replace
+   * @param {Object} replacement - Same options as @method placeOrder
+   * @returns {Promise<Order>} New order
+   */
+  replaceOrder(user, order, replacement) {
+    return this.cancelOrder(user, order)
+      .then(() => this.placeOrder(user, replacement));
+  }
+
+  /**
+   * Cancels an order
+   * @param user
+   * @param {Order} order
+   * @returns {Promise}
+   */
+  cancelOrder(user, order) {
+    return this.notImplemented('cancelOrder', user, order);
+  }
+
+  /**
+   * @param user
+   * @param symbol
+   * @returns {Promise<Instrument>}
+   */
+  getInstrument(user, symbol) {
+    return this.notImplemented('getInstrument', user, symbol);
+  }
+
+  /**
+   * Retrieves today's market hours, normalized by `utils.marketTimes`
+   * @param user
+   * @returns {Promise}
+   */
+  getMarketHours(user) {
+    return this.notImplemented('getMarketHours', user);
+  }
+
+  /**
+   * Retrieves the broker's latest quote for a symbol
+   * @param user
+   * @param symbol
+   * @returns {Promise<{ symbol: string, close: number }>}
+   */
+  getQuote(user, symbol) {
+    return this.notImplemented('getQuote', user, symbol);
+  }
+
+  /**
+   * @private
+   */
+  notImplemented(method) {
+    return Promise.reject(new Error(`${method} is not implemented by the ${this.name} broker adapter`));
+  }
+}
+
+BrokerAdapter.ORDER_STATES = ORDER_STATES;
+BrokerAdapter.ORDER_TYPES = ORDER_TYPES;
+BrokerAdapter.TIME_IN_FORCE = TIME_IN_FORCE;
+
+module.exports = BrokerAdapter;
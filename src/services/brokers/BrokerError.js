@@ -0,0 +1,24 @@
+/**
+ * Error codes shared by all broker adapters so the engine can react to broker failures
+ * without knowing each broker's error messages
+ */
+const INSUFFICIENT_SHARES = 'INSUFFICIENT_SHARES';
+const NOT_TRADABLE = 'NOT_TRADABLE';
+const THROTTLED = 'THROTTLED';
+const UNKNOWN = 'UNKNOWN';
+
+class BrokerError extends Error {
+  constructor(message, code = UNKNOWN, broker = null) {
+    super(message);
+    this.name = 'BrokerError';
+    this.code = code;
+    this.broker = broker;
+  }
+}
+
+BrokerError.INSUFFICIENT_SHARES = INSUFFICIENT_SHARES;
+BrokerError.NOT_TRADABLE = NOT_TRADABLE;
+BrokerError.THROTTLED = THROTTLED;
+BrokerError.UNKNOWN = UNKNOWN;
+
+module.exports = BrokerError;
@@ -0,0 +1,243 @@
+const moment = require('moment');
+const { get } = require('lodash');
+
+const rh = require('../rhApiService');
+const { marketTimes, isMarketTimesLoaded } = require('../utils');
+const { RBH_API_BASE } = require('../../config/env');
+const BrokerAdapter = require('./BrokerAdapter');
+const BrokerError = require('./BrokerError');
+
+const { ORDER_STATES, ORDER_TYPES } = BrokerAdapter;
+const stateMap = {
+  queued: ORDER_STATES.SUBMITTED,
+  unconfirmed: ORDER_STATES.SUBMITTED,
+  confirmed: ORDER_STATES.SUBMITTED,
+  partially_filled: ORDER_STATES.PARTIALLY_FILLED,
+  filled: ORDER_STATES.FILLED,
+  cancelled: ORDER_STATES.CANCELLED,
+  canceled: ORDER_STATES.CANCELLED,
+  rejected: ORDER_STATES.REJECTED,
+  failed: ORDER_STATES.REJECTED,
+};
+
+/**
+ * Extracts the instrument id from a RH instrument url
+ * @example 'https://api.robinhood.com/instruments/abc-123/' => 'abc-123'
+ */
+const instrumentIdFromUrl = (url = '') => url.split('/').filter(p => p).pop() || null;
+
+/**
+ * RH describes order types with a type (market|limit) and a trigger (immediate|stop).
+ * Trailing stops are stop market orders with a trailing peg
+ */
+const typeMap = {
+  [ORDER_TYPES.MARKET]: { type: 'market', trigger: 'immediate' },
+  [ORDER_TYPES.LIMIT]: { type: 'limit', trigger: 'immediate' },
+  [ORDER_TYPES.STOP]: { type: 'market', trigger: 'stop' },
+  [ORDER_TYPES.STOP_LIMIT]: { type: 'limit', trigger: 'stop' },
+  [ORDER_TYPES.TRAILING_STOP]: { type: 'market', trigger: 'stop' },
+};
+const toOrderType = ({ type, trigger, trailing_peg }) => {
+  if (trailing_peg) {
+    return ORDER_TYPES.TRAILING_STOP;
+  }
+  if (trigger === 'stop') {
+    return type === 'limit' ? ORDER_TYPES.STOP_LIMIT : ORDER_TYPES.STOP;
+  }
+  return type;
+};
+
+class RobinhoodAdapter extends BrokerAdapter {
+  constructor() {
+    super('robinhood');
+  }
+
+  auth(user) {
+    return rh.auth(user.brokerConfig);
+  }
+
+  getAccount(user) {
+    return Promise.all([rh.getAccount(user), rh.getPortfolio(user)])
+      .then(([account, portfolio]) => rh.getDayTradeCount(user, account.account_number)
+        .catch(() => null)
+        .then(dayTradeCount => this.toAccount(account, portfolio, dayTradeCount)))
+      .catch(error => this.handleError(error));
+  }
+
+  getPositions(user) {
+    return rh.getPositions(user)
+      .then((positions = []) => positions.map(p => this.toPosition(p)))
+      .catch(error => this.handleError(error));
+  }
+
+  getOrders(user) {
+    return rh.getOrders(user)
+      .then((orders = []) => orders.map(o => this.toOrder(o)))
+      .catch(error => this.handleError(error));
+  }
+
+  getOrder(user, id) {
+    return rh.getOrder(id, user)
+      .then(order => this.toOrder(order))
+      .catch(error => this.handleError(error));
+  }
+
+  placeOrder(user, order) {
+    const {
+      account, symbol, instrumentId, instrumentUrl, side, type, timeInForce, quantity, price, stopPrice, trailPercent, refId,
+    } = order;
+    const options = {
+      account: get(account, 'url', null),
+      quantity,
+      price,
+      symbol,
+      side,
+      instrument: instrumentUrl || `${RBH_API_BASE}/instruments/${instrumentId}/`,
+      time_in_force: timeInForce,
+      ...typeMap[type],
+      override_day_trade_checks: order.overrideDayTradeChecks,
+      extended_hours: !!order.extendedHours,
+      ref_id: refId,
+    };
+
+    if (stopPrice) {
+      options.stop_price = stopPrice;
+    }
+    if (type === ORDER_TYPES.TRAILING_STOP) {
+      options.trailing_peg = { type: 'percentage', percentage: trailPercent };
+    }
+
+    return rh.placeOrder(user, options)
+      .then(placed => this.toOrder(placed, symbol))
+      .catch(error => this.handleError(error));
+  }
+
+  cancelOrder(user, order) {
+    const uri = get(order, 'raw.cancel') || `${RBH_API_BASE}/orders/${order.id}/cancel/`;
+    return rh.postWithAuth(user, uri)
+      .catch(error => this.handleError(error));
+  }
+
+  async getInstrument(user, symbol) {
+    const instrument = await rh.getInstrumentBySymbol(symbol);
+    if (!instrument) {
+      throw new BrokerError(`Instrument not found for symbol ${symbol}`, BrokerError.NOT_TRADABLE, this.name);
+    }
+    const market = await rh.getJSON(instrument.market);
+
+    return {
+      id: instrument.id,
+      url: instrument.url,
+      symbol: instrument.symbol,
+      exchange: get(market, 'acronym', null),
+      tradable: !!instrument.tradeable,
+    };
+  }
+
+  getMarketHours() {
+    if (isMarketTimesLoaded()) {
+      return Promise.resolve(marketTimes());
+    }
+
+    return rh.getMarketHours(moment().format('YYYY-MM-DD'))
+      .then(data => marketTimes({
+        opensAt: data.opens_at,
+        closesAt: data.closes_at,
+        extendedOpensAt: data.extended_opens_at,
+        extendedClosesAt: data.extended_closes_at,
+        isOpen: data.is_open,
+      }));
+  }
+
+  getQuote(user, symbol) {
+    return rh.getQuote(user, symbol)
+      .then(quote => ({
+        symbol: quote.symbol,
+        close: Number(quote.last_trade_price),
+        bid: Number(quote.bid_price),
+        ask: Number(quote.ask_price),
+        previousClose: Number(quote.previous_close),
+        updatedAt: new Date(quote.updated_at),
+      }))
+      .catch(error => this.handleError(error));
+  }
+
+  /**
+   * @returns {Order}
+   * @private
+   */
+  toOrder(order, symbol = null) {
+    return {
+      id: order.id,
+      refId: order.ref_id,
+      symbol,
+      instrumentId: instrumentIdFromUrl(order.instrument),
+      side: order.side,
+      type: toOrderType(order),
+      timeInForce: order.time_in_force,
+      state: stateMap[order.state] || ORDER_STATES.PENDING,
+      price: order.type === 'limit' && order.price ? Number(order.price) : null,
+      stopPrice: order.stop_price ? Number(order.stop_price) : null,
+      trailPercent: get(order, 'trailing_peg.percentage') ? Number(order.trailing_peg.percentage) : null,
+      averagePrice: order.average_price ? Number(order.average_price) : null,
+      quantity: Number(order.quantity),
+      filledQuantity: Number(order.cumulative_quantity || 0),
+      createdAt: new Date(order.created_at),
+      updatedAt: new Date(order.updated_at),
+      raw: order,
+    };
+  }
+
+  /**
+   * @returns {Position}
+   * @private
+   */
+  toPosition(position) {
+    return {
+      instrumentId: instrumentIdFromUrl(position.instrument),
+      symbol: null,
+      quantity: Number(position.quantity),
+      averagePrice: Number(position.average_buy_price),
+      marketValue: null,
+      raw: position,
+    };
+  }
+
+  /**
+   * @returns {Account}
+   * @private
+   */
+  toAccount(account, portfolio, dayTradeCount = null) {
+    return {
+      id: account.account_number,
+      url: account.url,
+      buyingPower: Number(account.buying_power),
+      cash: Number(account.cash),
+      equity: Number(get(portfolio, 'extended_hours_equity') || get(portfolio, 'equity', 0)),
+      marketValue: Number(get(portfolio, 'extended_hours_market_value') || get(portfolio, 'market_value', 0)),
+      dayTradeCount,
+      raw: account,
+    };
+  }
+
+  /**
+   * Translates RH error messages into BrokerError codes
+   * @private
+   */
+  handleError(error) {
+    const message = get(error, 'message', '');
+    let code = BrokerError.UNKNOWN;
+
+    if (message.includes('Not enough shares to sell')) {
+      code = BrokerError.INSUFFICIENT_SHARES;
+    } else if (message.includes('Instrument cannot be traded')) {
+      code = BrokerError.NOT_TRADABLE;
+    } else if (message.includes('Request was throttled')) {
+      code = BrokerError.THROTTLED;
+    }
+
+    throw new BrokerError(message, code, this.name);
+  }
+}
+
+module.exports = RobinhoodAdapter;
@@ -0,0 +1,43 @@
+const { get } = require('lodash');
+
+const RobinhoodAdapter = require('./RobinhoodAdapter');
+const AlpacaAdapter = require('./AlpacaAdapter');
+const BrokerAdapter = require('./BrokerAdapter');
+const BrokerError = require('./BrokerError');
+
+const DEFAULT_BROKER = 'robinhood';
+const adapters = {
+  robinhood: new RobinhoodAdapter(),
+  alpaca: new AlpacaAdapter(),
+};
+
+/**
+ * Retrieves a broker adapter by name
+ * @param name
+ * @returns {BrokerAdapter}
+ */
+const getBroker = (name = DEFAULT_BROKER) => {
+  const adapter = adapters[(name || DEFAULT_BROKER).toLowerCase()];
+  if (!adapter) {
+    throw new Error(`Unsupported broker: ${name}`);
+  }
+  return adapter;
+};
+
+/**
+ * Retrieves the broker adapter configured in `user.brokerConfig.name`
+ * @param user
+ * @returns {BrokerAdapter}
+ */
+const getUserBroker = (user) => getBroker(get(user, 'brokerConfig.name'));
+
+module.exports = {
+  getBroker,
+  getUserBroker,
+  BrokerAdapter,
+  BrokerError,
+  ORDER_STATES: BrokerAdapter.ORDER_STATES,
+  ORDER_TYPES: BrokerAdapter.ORDER_TYPES,
+  TIME_IN_FORCE: BrokerAdapter.TIME_IN_FORCE,
+  brokerNames: Object.keys(adapters),
+};
@@ -0,0 +1,136 @@
+const EventEmitter = require('events');
+const { get, isNil } = require('lodash');
+
+const EVENT_TYPES = {
+  QUOTE: 'quote',
+  RULE_EVALUATED: 'rule_evaluated',
+  ORDER_PLACED: 'order_placed',
+  ORDER_CANCELLED: 'order_cancelled',
+  ORDER_FILLED: 'order_filled',
+  TRADE_OPENED: 'trade_opened',
+  TRADE_CLOSED: 'trade_closed',
+  RISK_LIMIT_REACHED: 'risk_limit_reached',
+  ENGINE_ERROR: 'engine_error',
+};
+
+/**
+ * @private
+ */
+const toId = (value) => isNil(value) ? null : String(get(value, '_id', value));
+
+/**
+ * Symbols are matched without exchange, e.g. 'NASDAQ:AAPL' => 'AAPL'
+ * @private
+ */
+const toSymbol = (value) => isNil(value) ? null : String(value).split(':').pop().toUpperCase();
+
+/**
+ * In-process bus for the live engine events, consumed by the event stream API
+ */
+class EventService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per connected client
+    this.setMaxListeners(0);
+    this.sequence = 0;
+  }
+
+  /**
+   * @param type - One of `EVENT_TYPES`
+   * @param data - Event payload
+   * @param scope - `{ user, rule, symbol }` the event belongs to, used by the subscriptions
+   * @returns {Object} Published event
+   */
+  publish(type, data = {}, { user, rule, symbol } = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      date: new Date(),
+      user: toId(user),
+      rule: toId(rule),
+      symbol: toSymbol(symbol),
+      data,
+    };
+
+    try {
+      this.emit('event', event);
+    } catch (error) {
+      // A failing subscriber must never break the engine
+      console.error(error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Listens to the events matching the filter
+   * @param filter - `{ users, rules, symbols, types }` lists, any value when empty
+   * @param listener
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(filter, listener) {
+    const handler = (event) => {
+      if (this.matches(event, filter)) {
+        listener(event);
+      }
+    };
+
+    this.on('event', handler);
+    return () => this.removeListener('event', handler);
+  }
+
+  /**
+   * An event matches when every non-empty filter list contains the event value
+   * @param event
+   * @param filter
+   * @returns {boolean}
+   */
+  matches(event, { users = [], rules = [], symbols = [], types = [] } = {}) {
+    const includes = (list, value) => !list.length || list.includes(value);
+
+    return includes(users.map(toId), event.user) &&
+      includes(rules.map(toId), event.rule) &&
+      includes(symbols.map(toSymbol), event.symbol) &&
+      includes(types, event.type);
+  }
+
+  quote(quote) {
+    this.publish(EVENT_TYPES.QUOTE, quote, { symbol: quote.symbol });
+  }
+
+  /**
+   * @param evaluation - Outcome of a rule on an engine cycle, see `Evaluation`
+   */
+  ruleEvaluated(evaluation) {
+    const { user, rule, symbol } = evaluation;
+    this.publish(EVENT_TYPES.RULE_EVALUATED, evaluation, { user, rule, symbol });
+  }
+
+  /**
+   * Order events, from the persisted `Order`
+   * @param type - ORDER_PLACED, ORDER_CANCELLED or ORDER_FILLED
+   * @param order
+   */
+  order(type, order) {
+    this.publish(type, order, { user: order.user, rule: order.rule, symbol: order.symbol });
+  }
+
+  tradeOpened(trade, symbol) {
+    this.publish(EVENT_TYPES.TRADE_OPENED, trade, { user: trade.user, rule: trade.rule, symbol });
+  }
+
+  tradeClosed(trade, symbol) {
+    this.publish(EVENT_TYPES.TRADE_CLOSED, trade, { user: trade.user, rule: trade.rule, symbol });
+  }
+
+  riskLimitReached(user, reason) {
+    this.publish(EVENT_TYPES.RISK_LIMIT_REACHED, { username: user.username, reason }, { user });
+  }
+
+  engineError(message, stack) {
+    this.publish(EVENT_TYPES.ENGINE_ERROR, { message, stack });
+  }
+}
+
+module.exports = new EventService();
+module.exports.EVENT_TYPES = EVENT_TYPES;
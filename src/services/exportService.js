@@ -0,0 +1,158 @@
+const moment = require('moment');
+const { get, groupBy, isNil, sortBy, sumBy } = require('lodash');
+
+const { Trade } = require('../models');
+const analyticsService = require('./analyticsService');
+
+// Losses with a purchase of the same symbol within this window before or after the sale are wash sales
+const WASH_SALE_DAYS = 30;
+
+const TRADE_COLUMNS = [
+  'id', 'rule', 'ruleName', 'symbol', 'boughtShares', 'soldShares', 'buyPrice', 'sellPrice', 'buyDate', 'sellDate',
+  'profit', 'gainPercent', 'exitReason',
+];
+const GAIN_COLUMNS = [
+  'symbol', 'quantity', 'acquiredDate', 'soldDate', 'costBasis', 'proceeds', 'gain', 'term', 'washSale',
+];
+
+/**
+ * @private
+ */
+const toCSVValue = (value) => {
+  if (isNil(value)) {
+    return '';
+  }
+  const string = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+};
+
+/**
+ * Completed trades exports and realized gains, for reviews and taxes
+ */
+class ExportService {
+  /**
+   * Completed trades as flat rows, see `TRADE_COLUMNS`
+   * @param filter - See `analyticsService.getClosedTrades`
+   * @returns {Promise<Object[]>}
+   */
+  async getTradeRows(filter = {}) {
+    const trades = await analyticsService.getClosedTrades(filter);
+
+    return trades.map(trade => ({
+      id: String(trade._id),
+      rule: String(get(trade, 'rule._id', trade.rule)),
+      ruleName: get(trade, 'rule.name'),
+      symbol: get(trade, 'rule.symbol'),
+      boughtShares: trade.boughtShares,
+      soldShares: trade.soldShares,
+      buyPrice: trade.buyPrice,
+      sellPrice: trade.sellPrice,
+      buyDate: trade.buyDate,
+      sellDate: trade.sellDate,
+      profit: analyticsService.getProfit(trade),
+      gainPercent: trade.gainPercent,
+      exitReason: trade.exitReason,
+    }));
+  }
+
+  /**
+   * Matches the sold shares to the oldest bought shares of the same user and symbol (FIFO). Every match is a
+   * realized gain, long term when held more than a year, and a wash sale when it is a loss and the symbol is
+   * bought within 30 days before or after the sale, the sold lot aside
+   * @param filter - `{ user, symbol, from, to }`, dates matching the sale date
+   * @returns {Promise<{ gains: Object[], summary: Object }>}
+   */
+  async getRealizedGains({ user, symbol, from, to } = {}) {
+    // Trades closed by the reconciliation have no sell price, their lots can't be matched
+    const query = { buyPrice: { $ne: null }, boughtShares: { $gt: 0 }, reconciled: { $ne: true } };
+    if (user) {
+      query.user = user;
+    }
+
+    // Every bought trade is needed, lots sold in range may have been bought before it
+    const trades = (await Trade.find(query).populate('rule', 'symbol').lean())
+      .filter(t => get(t, 'rule.symbol') && (!symbol || t.rule.symbol === symbol.toUpperCase()));
+    const accounts = groupBy(trades, t => `${t.user}:${t.rule.symbol}`);
+
+    const gains = sortBy([].concat(...Object.keys(accounts).map(key => this.matchLots(accounts[key]))), 'soldDate')
+      .filter(gain => (!from || gain.soldDate >= new Date(from)) && (!to || gain.soldDate <= new Date(to)));
+    const shortTerm = gains.filter(g => g.term === 'short');
+    const longTerm = gains.filter(g => g.term === 'long');
+
+    return {
+      gains,
+      summary: {
+        proceeds: sumBy(gains, 'proceeds'),
+        costBasis: sumBy(gains, 'costBasis'),
+        shortTermGain: sumBy(shortTerm, 'gain'),
+        longTermGain: sumBy(longTerm, 'gain'),
+        totalGain: sumBy(gains, 'gain'),
+        washSales: gains.filter(g => g.washSale).length,
+      },
+    };
+  }
+
+  /**
+   * FIFO matching of the trades of a single user and symbol
+   * @private
+   */
+  matchLots(trades) {
+    const { symbol } = trades[0].rule;
+    const buys = sortBy(trades.map(t => ({ date: t.buyDate, price: t.buyPrice, shares: t.boughtShares })), 'date');
+    const sells = sortBy(trades
+      .filter(t => t.soldShares > 0 && !isNil(t.sellPrice))
+      .map(t => ({ date: t.sellDate, price: t.sellPrice, shares: t.soldShares })), 'date');
+    const lots = buys.map(buy => ({ ...buy, buy }));
+    const gains = [];
+
+    sells.forEach(sell => {
+      let remaining = sell.shares;
+
+      while (remaining > 0) {
+        const lot = lots.find(l => l.shares > 0 && l.date <= sell.date);
+        if (!lot) {
+          // Shares sold without a known purchase, e.g. bought outside the engine
+          break;
+        }
+
+        const quantity = Math.min(remaining, lot.shares);
+        const costBasis = quantity * lot.price;
+        const proceeds = quantity * sell.price;
+        const gain = proceeds - costBasis;
+        const washWindow = [moment(sell.date).subtract(WASH_SALE_DAYS, 'days'), moment(sell.date).add(WASH_SALE_DAYS, 'days')];
+
+        gains.push({
+          symbol,
+          quantity,
+          acquiredDate: lot.date,
+          soldDate: sell.date,
+          costBasis,
+          proceeds,
+          gain,
+          term: moment(sell.date).isAfter(moment(lot.date).add(1, 'year')) ? 'long' : 'short',
+          washSale: gain < 0 && buys.some(b => b !== lot.buy && moment(b.date).isBetween(...washWindow, null, '[]')),
+        });
+
+        lot.shares -= quantity;
+        remaining -= quantity;
+      }
+    });
+
+    return gains;
+  }
+
+  /**
+   * @param rows
+   * @param columns
+   * @returns {string} CSV with a header row
+   */
+  toCSV(rows, columns) {
+    return [columns.join(',')]
+      .concat(rows.map(row => columns.map(column => toCSVValue(row[column])).join(',')))
+      .join('\n');
+  }
+}
+
+module.exports = new ExportService();
+module.exports.TRADE_COLUMNS = TRADE_COLUMNS;
+module.exports.GAIN_COLUMNS = GAIN_COLUMNS;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { isArray, isFinite, get } = require('lodash');
+
+const readFile = promisify(fs.readFile);
+const dateKeys = ['date', 'time', 'timestamp', 'datetime'];
+
+class HistoricalDataService {
+  /**
+   * Loads OHLCV bars from a CSV or JSON file
+   * @param filePath
+   * @returns {Promise<Object[]>} Bars sorted by date
+   */
+  async loadFile(filePath) {
+    const content = await readFile(filePath, 'utf8');
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      return this.normalize(this.parseCSV(content));
+    }
+
+    return this.normalize(JSON.parse(content));
+  }
+
+  /**
+   * Parses a CSV string with a header row into an array of objects
+   * @param content
+   * @returns {Object[]}
+   */
+  parseCSV(content) {
+    const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+    const keys = header.split(',').map(key => key.trim().toLowerCase());
+
+    return lines.map(line => line.split(',').reduce((row, value, index) => {
+      row[keys[index]] = value.trim();
+      return row;
+    }, {}));
+  }
+
+  /**
+   * Normalizes raw rows into bars: `{ date, open, high, low, close, volume, ...extra numeric columns }`.
+   * Extra numeric columns (e.g. rsi, macd) are kept so patterns can use them
+   * @param rows Array of rows, or an object with a `bars` array
+   * @returns {Object[]}
+   */
+  normalize(rows) {
+    const list = isArray(rows) ? rows : get(rows, 'bars');
+    if (!isArray(list)) {
+      throw new Error('Historical data must be an array of bars');
+    }
+
+    return list
+      .map((row, index) => {
+        const dateKey = dateKeys.find(key => row[key] !== undefined);
+        const rawDate = row[dateKey];
+        const timestamp = Number(rawDate);
+        let date = new Date(rawDate);
+
+        if (rawDate !== '' && isFinite(timestamp)) {
+          // Unix timestamps in seconds are converted into milliseconds
+          date = new Date(timestamp < 1e11 ? timestamp * 1000 : timestamp);
+        }
+
+        if (!dateKey || isNaN(date.getTime())) {
+          throw new Error(`Invalid or missing date on bar ${index}`);
+        }
+
+        const bar = { date };
+        Object.keys(row)
+          .filter(key => key !== dateKey)
+          .forEach(key => {
+            const value = Number(row[key]);
+            if (row[key] !== '' && isFinite(value)) {
+              bar[key] = value;
+            }
+          });
+
+        if (!isFinite(bar.close)) {
+          throw new Error(`Invalid or missing close price on bar ${index}`);
+        }
+
+        return bar;
+      })
+      .sort((a, b) => a.date - b.date);
+  }
+}
+
+module.exports = new HistoricalDataService();
@@ -0,0 +1,212 @@
+const moment = require('moment');
+
+/**
+ * Technical indicator calculations. Every function returns a series aligned with its input,
+ * with null values where there is not enough data yet
+ */
+
+/**
+ * Simple moving average
+ * @param values
+ * @param period
+ * @returns {Array<number|null>}
+ */
+const sma = (values, period) => {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    return index >= period - 1 ? sum / period : null;
+  });
+};
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values.
+ * Leading null values are skipped
+ * @param values
+ * @param period
+ * @returns {Array<number|null>}
+ */
+const ema = (values, period) => {
+  const k = 2 / (period + 1);
+  const start = values.findIndex(value => value !== null);
+  let previous = null;
+
+  return values.map((value, index) => {
+    if (start === -1 || index < start + period - 1) {
+      return null;
+    }
+    if (previous === null) {
+      previous = values.slice(start, start + period).reduce((sum, v) => sum + v, 0) / period;
+    } else {
+      previous = (value - previous) * k + previous;
+    }
+    return previous;
+  });
+};
+
+/**
+ * Wilder's smoothing, used by RSI and ATR
+ * @private
+ */
+const wilder = (values, period) => {
+  let previous = null;
+  return values.map((value, index) => {
+    if (index < period - 1) {
+      return null;
+    }
+    if (previous === null) {
+      previous = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+    } else {
+      previous = (previous * (period - 1) + value) / period;
+    }
+    return previous;
+  });
+};
+
+/**
+ * Relative strength index
+ * @param closes
+ * @param period
+ * @returns {Array<number|null>}
+ */
+const rsi = (closes, period = 14) => {
+  const changes = closes.slice(1).map((close, index) => close - closes[index]);
+  const gains = wilder(changes.map(change => Math.max(change, 0)), period);
+  const losses = wilder(changes.map(change => Math.max(-change, 0)), period);
+
+  return [null, ...changes.map((change, index) => {
+    if (gains[index] === null) {
+      return null;
+    }
+    if (losses[index] === 0) {
+      return 100;
+    }
+    return 100 - (100 / (1 + gains[index] / losses[index]));
+  })];
+};
+
+/**
+ * Moving average convergence divergence
+ * @param closes
+ * @param fast
+ * @param slow
+ * @param signal
+ * @returns {{ macd: Array, signal: Array, histogram: Array }}
+ */
+const macd = (closes, fast = 12, slow = 26, signal = 9) => {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((close, index) =>
+    (fastEma[index] === null || slowEma[index] === null ? null : fastEma[index] - slowEma[index]));
+  const signalLine = ema(line, signal);
+
+  return {
+    macd: line,
+    signal: signalLine,
+    histogram: line.map((value, index) => (signalLine[index] === null ? null : value - signalLine[index])),
+  };
+};
+
+/**
+ * Bollinger bands
+ * @param closes
+ * @param period
+ * @param deviations
+ * @returns {{ upper: Array, middle: Array, lower: Array }}
+ */
+const bollinger = (closes, period = 20, deviations = 2) => {
+  const middle = sma(closes, period);
+  const deviation = closes.map((close, index) => {
+    if (middle[index] === null) {
+      return null;
+    }
+    const window = closes.slice(index - period + 1, index + 1);
+    const variance = window.reduce((sum, value) => sum + Math.pow(value - middle[index], 2), 0) / period;
+    return Math.sqrt(variance);
+  });
+
+  return {
+    upper: middle.map((value, index) => (value === null ? null : value + deviations * deviation[index])),
+    middle,
+    lower: middle.map((value, index) => (value === null ? null : value - deviations * deviation[index])),
+  };
+};
+
+/**
+ * Average true range
+ * @param bars `{ high, low, close }`
+ * @param period
+ * @returns {Array<number|null>}
+ */
+const atr = (bars, period = 14) => {
+  const trueRanges = bars.map(({ high, low }, index) => {
+    if (!index) {
+      return high - low;
+    }
+    const previousClose = bars[index - 1].close;
+    return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+  });
+
+  return wilder(trueRanges, period);
+};
+
+/**
+ * Volume weighted average price, reset on every new day
+ * @param bars `{ date, high, low, close, volume }`
+ * @returns {Array<number|null>}
+ */
+const vwap = (bars) => {
+  let day = null;
+  let priceVolume = 0;
+  let volume = 0;
+
+  return bars.map(bar => {
+    const barDay = moment(bar.date).format('YYYY-MM-DD');
+    if (barDay !== day) {
+      day = barDay;
+      priceVolume = 0;
+      volume = 0;
+    }
+    priceVolume += ((bar.high + bar.low + bar.close) / 3) * (bar.volume || 0);
+    volume += bar.volume || 0;
+
+    return volume ? priceVolume / volume : null;
+  });
+};
+
+/**
+ * Stochastic oscillator
+ * @param bars `{ high, low, close }`
+ * @param kPeriod
+ * @param dPeriod
+ * @returns {{ k: Array, d: Array }}
+ */
+const stochastic = (bars, kPeriod = 14, dPeriod = 3) => {
+  const k = bars.map((bar, index) => {
+    if (index < kPeriod - 1) {
+      return null;
+    }
+    const window = bars.slice(index - kPeriod + 1, index + 1);
+    const highest = Math.max(...window.map(b => b.high));
+    const lowest = Math.min(...window.map(b => b.low));
+    return highest === lowest ? 50 : ((bar.close - lowest) / (highest - lowest)) * 100;
+  });
+  const start = k.findIndex(value => value !== null);
+  const d = start === -1 ? k.map(() => null) : [...k.slice(0, start), ...sma(k.slice(start), dPeriod)];
+
+  return { k, d };
+};
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  vwap,
+  stochastic,
+};
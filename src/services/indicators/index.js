@@ -0,0 +1,185 @@
+const { last, uniq, get, isFinite } = require('lodash');
+
+const calculations = require('./calculations');
+const { ONE_MINUTE } = require('../utils');
+const {
+  INDICATORS = ['rsi:14', 'sma:20', 'ema:30', 'macd:12:26:9', 'bollinger:20:2', 'atr:14', 'vwap', 'stochastic:14:3'],
+  INDICATOR_BAR_INTERVAL = ONE_MINUTE,
+} = require('../../config/env');
+
+const MAX_BARS = 500;
+
+/**
+ * Supported indicators. Each one declares its default parameters and returns the fields it adds to quotes.
+ * Field names include the parameters, e.g. 'rsi:14' => `rsi_14`, 'macd:12:26:9' => `macd_12_26_9`
+ */
+const definitions = {
+  rsi: {
+    defaults: [14],
+    compute: (bars, [period], suffix) => ({ [`rsi${suffix}`]: last(calculations.rsi(closes(bars), period)) }),
+  },
+  sma: {
+    defaults: [20],
+    compute: (bars, [period], suffix) => ({ [`sma${suffix}`]: last(calculations.sma(closes(bars), period)) }),
+  },
+  ema: {
+    defaults: [30],
+    compute: (bars, [period], suffix) => ({ [`ema${suffix}`]: last(calculations.ema(closes(bars), period)) }),
+  },
+  macd: {
+    defaults: [12, 26, 9],
+    compute: (bars, params, suffix) => {
+      const { macd, signal, histogram } = calculations.macd(closes(bars), ...params);
+      return {
+        [`macd${suffix}`]: last(macd),
+        [`macdSignal${suffix}`]: last(signal),
+        [`macdHistogram${suffix}`]: last(histogram),
+      };
+    },
+  },
+  bollinger: {
+    defaults: [20, 2],
+    compute: (bars, params, suffix) => {
+      const { upper, middle, lower } = calculations.bollinger(closes(bars), ...params);
+      return {
+        [`bbUpper${suffix}`]: last(upper),
+        [`bbMiddle${suffix}`]: last(middle),
+        [`bbLower${suffix}`]: last(lower),
+      };
+    },
+  },
+  atr: {
+    defaults: [14],
+    compute: (bars, [period], suffix) => ({ [`atr${suffix}`]: last(calculations.atr(bars, period)) }),
+  },
+  vwap: {
+    defaults: [],
+    compute: (bars, params, suffix) => ({ [`vwap${suffix}`]: last(calculations.vwap(bars)) }),
+  },
+  stochastic: {
+    defaults: [14, 3],
+    compute: (bars, params, suffix) => {
+      const { k, d } = calculations.stochastic(bars, ...params);
+      return {
+        [`stochK${suffix}`]: last(k),
+        [`stochD${suffix}`]: last(d),
+      };
+    },
+  },
+};
+
+const closes = (bars) => bars.map(bar => bar.close);
+
+/**
+ * Parses an indicator spec
+ * @example 'macd:12:26:9' => { name: 'macd', params: [12, 26, 9] }, 'rsi' => { name: 'rsi', params: [14] }
+ * @param spec
+ * @returns {{ name: string, params: number[] }}
+ */
+const parseSpec = (spec) => {
+  const [name, ...rawParams] = String(spec).split(':');
+  const definition = definitions[name];
+  const params = rawParams.map(Number);
+
+  if (!definition) {
+    throw new Error(`Unknown indicator: ${name}`);
+  }
+  if (params.length > definition.defaults.length || params.some(param => !isFinite(param) || param <= 0)) {
+    throw new Error(`Invalid parameters for indicator: ${spec}`);
+  }
+
+  return { name, params: definition.defaults.map((param, index) => (index < params.length ? params[index] : param)) };
+};
+
+/**
+ * Maintains rolling bars per symbol, built from the quotes the engine receives, and computes
+ * indicators over them
+ */
+class IndicatorService {
+  constructor() {
+    this.bars = {};
+    this.lastVolumes = {};
+    this.defaultSpecs = INDICATORS;
+    this.maxBars = MAX_BARS;
+  }
+
+  /**
+   * Validates and parses an indicator spec, see @method parseSpec
+   * @param spec
+   * @returns {{ name: string, params: number[] }}
+   */
+  parseSpec(spec) {
+    return parseSpec(spec);
+  }
+
+  /**
+   * Computes indicators over a list of bars. Values are null until there is enough data
+   * @param bars `{ date, open, high, low, close, volume }`
+   * @param specs
+   * @returns {Object} Indicator fields
+   */
+  compute(bars, specs = this.defaultSpecs) {
+    return uniq(specs).reduce((fields, spec) => {
+      const { name, params } = parseSpec(spec);
+      const suffix = params.length ? `_${params.join('_')}` : '';
+      return { ...fields, ...definitions[name].compute(bars, params, suffix) };
+    }, {});
+  }
+
+  /**
+   * Adds a quote to the symbol bars and computes indicators
+   * @param quote Quote with at least `symbol` and `close`
+   * @param specs Extra specs on top of the default ones
+   * @param options
+   * @param options.date Quote date
+   * @param options.commit Whether to keep the quote in the series. False to only peek at the values
+   * @returns {Object} Indicator fields
+   */
+  update(quote, specs = [], { date = new Date(), commit = true } = {}) {
+    const bars = this.addQuote(quote, date, commit);
+    return this.compute(bars, [...this.defaultSpecs, ...specs]);
+  }
+
+  /**
+   * Aggregates a quote into the current bar of its symbol. Quote volume is treated as cumulative,
+   * like the day volume given by quote providers
+   * @private
+   */
+  addQuote(quote, date, commit) {
+    const { symbol, close } = quote;
+    const bars = get(this.bars, symbol, []).slice();
+    const start = Math.floor(date.getTime() / INDICATOR_BAR_INTERVAL) * INDICATOR_BAR_INTERVAL;
+    const lastVolume = this.lastVolumes[symbol];
+    const volumeDelta = isFinite(quote.volume) && isFinite(lastVolume) && quote.volume >= lastVolume ?
+      quote.volume - lastVolume : 0;
+    const current = last(bars);
+
+    if (current && current.date.getTime() === start) {
+      bars[bars.length - 1] = {
+        ...current,
+        high: Math.max(current.high, get(quote, 'high', close)),
+        low: Math.min(current.low, get(quote, 'low', close)),
+        close,
+        volume: current.volume + volumeDelta,
+      };
+    } else {
+      bars.push({
+        date: new Date(start),
+        open: close,
+        high: close,
+        low: close,
+        close,
+        volume: volumeDelta,
+      });
+    }
+
+    if (commit) {
+      this.bars[symbol] = bars.slice(-MAX_BARS);
+      this.lastVolumes[symbol] = quote.volume;
+    }
+
+    return bars;
+  }
+}
+
+module.exports = new IndicatorService();
@@ -1,16 +1,77 @@
 const { IncomingWebhook } = require('@slack/client');
+const mongoose = require('mongoose');
 const moment = require('moment');
-const { isString, get } = require('lodash');
+const { isString, isEmpty, isNil, get, omitBy, round } = require('lodash');
 
-const { SLACK_LOG_ERROR_WEBHOOK_URL, SLACK_LOG_OTHER_WEBHOOK_URL } = require('../config/env');
+const events = require('./eventService');
+const Log = require('../models/Log');
+const { SLACK_LOG_ERROR_WEBHOOK_URL, SLACK_LOG_OTHER_WEBHOOK_URL, LOG_LEVEL = 'debug' } = require('../config/env');
+
+/**
+ * @private
+ */
+const toId = (value) => isNil(value) ? undefined : String(get(value, '_id', value));
 
 class LogService {
   constructor() {
     this.errorLogger = new IncomingWebhook(SLACK_LOG_ERROR_WEBHOOK_URL);
     this.logger = new IncomingWebhook(SLACK_LOG_OTHER_WEBHOOK_URL);
+    /**
+     * Records below this level are dropped
+     */
+    this.minLevel = Math.max(Log.LEVELS.indexOf(LOG_LEVEL), 0);
+  }
+
+  /**
+   * Writes a structured record as a JSON line to the output, and to the `Log` collection once the db is connected
+   * @param level - One of `Log.LEVELS`
+   * @param message
+   * @param context - `user`, `rule`, `trade` (documents or ids) and `symbol`. Any other field is kept as `data`
+   */
+  write(level, message, context = {}) {
+    if (Log.LEVELS.indexOf(level) < this.minLevel) {
+      return;
+    }
+
+    const { user, rule, trade, symbol, ...data } = context;
+    const record = omitBy({
+      level,
+      message,
+      user: toId(user),
+      rule: toId(rule),
+      trade: toId(trade),
+      symbol,
+      data: isEmpty(data) ? undefined : data,
+      createdAt: new Date(),
+    }, isNil);
+
+    (level === 'error' ? console.error : console.log)(JSON.stringify(record));
+
+    if (mongoose.connection.readyState === mongoose.STATES.connected) {
+      new Log(record).save()
+        .catch(error => console.error(`Failed to persist log record. ${error.message}`));
+    }
+  }
+
+  debug(message, context) {
+    this.write('debug', message, context);
+  }
+
+  info(message, context) {
+    this.write('info', message, context);
+  }
+
+  warn(message, context) {
+    this.write('warn', message, context);
   }
 
-  error(toBeLogged, error = '') {
+  /**
+   * Logs an error, sent to the Slack errors channel as well
+   * @param toBeLogged - Error, `{ message }` or any value
+   * @param error - Underlying error, if any
+   * @param context - See @method write
+   */
+  error(toBeLogged, error = '', context = {}) {
     const msg = get(toBeLogged, 'message', toBeLogged);
     const err = get(error, 'message', error);
     const stack = get(toBeLogged, 'stack', get(error, 'stack', ''));
@@ -18,44 +79,77 @@ class LogService {
     const errorMsg = isString(err) ? err : this.formatJSON(err, 0);
     const finalMessage = `*${message}* ${errorMsg} ${stack}`.trim();
     this.errorLogger.send(finalMessage);
-    console.log(finalMessage);
+    this.write('error', `${message} ${errorMsg}`.trim(), { ...context, stack: stack || undefined });
+    events.engineError(`${message} ${errorMsg}`.trim(), stack);
   }
 
-  orderPlaced({ symbol, side, name, created_at = new Date(), price }) {
-    const message = `${symbol} | ${side} | ${name} | $${Number(price).toFixed(3)} | ${moment(created_at).format('MM/DD/YY h:mm:ssa')}`;
+  orderPlaced({ symbol, side, name, createdAt = new Date(), price }, context = {}) {
+    const message = `${symbol} | ${side} | ${name} | $${Number(price).toFixed(3)} | ${moment(createdAt).format('MM/DD/YY h:mm:ssa')}`;
     this.logger.send(`:rocket: *ORDER PLACED =>* ${message}`);
-    console.log(`*ORDER PLACED =>* ${message}`);
+    this.info(`ORDER PLACED => ${message}`, { ...context, symbol, side, price });
   }
 
-  orderCanceled({ symbol, side, name, date = new Date(), price, json }) {
+  orderCanceled({ symbol, side, name, date = new Date(), price, json }, context = {}) {
     const message = `${symbol} | ${side} | ${name} | $${Number(price).toFixed(3)} | ${moment(date).format('MM/DD/YY h:mm:ssa')} | ${ this.formatJSON(json, 0)}`;
     this.logger.send(`:skull: *ORDER CANCELED =>* ${message}`);
-    console.log(`*ORDER CANCELED =>* ${message}`);
+    this.info(`ORDER CANCELED => ${message}`, { ...context, symbol, side, price });
+  }
+
+  orderRepriced({ symbol, side, name, previousPrice, price, type, attempt }, context = {}) {
+    const newPrice = price ? `$${Number(price).toFixed(3)}` : type;
+    const message = `${symbol} | ${side} | ${name} | $${Number(previousPrice).toFixed(3)} => ${newPrice} | attempt ${attempt}`;
+    this.logger.send(`:arrows_counterclockwise: *ORDER REPRICED =>* ${message}`);
+    this.info(`ORDER REPRICED => ${message}`, { ...context, symbol, side, previousPrice, price, type, attempt });
+  }
+
+  reconciliation({ users }) {
+    const lines = users.map(({ username, repaired, flagged, error }) => {
+      const details = [...repaired, ...flagged].map(({ message }) => `\n  - ${message}`).join('');
+      return `${username} | ${repaired.length} repaired | ${flagged.length} flagged${error ? ` | error: ${error}` : ''}${details}`;
+    });
+    const message = lines.join('\n') || 'No users';
+    this.logger.send(`:mag: *RECONCILIATION =>* ${message}`);
+    this.info(`RECONCILIATION => ${message}`);
+  }
+
+  riskLimitReached({ user, reason }) {
+    const message = `${get(user, 'username', user._id)} | ${reason} | New entries disabled for the rest of the day`;
+    this.logger.send(`:no_entry: *RISK LIMIT REACHED =>* ${message}`);
+    this.warn(`RISK LIMIT REACHED => ${message}`, { user, reason });
   }
 
-  log(message) {
+  /**
+   * Logs a message, sent to the Slack logs channel as well
+   * @param message
+   * @param context - See @method write
+   */
+  log(message, context) {
     this.logger.send(message);
-    console.log(message);
+    this.info(message, context);
   }
 
+  /**
+   * Rule evaluation values, logged on debug mode
+   */
   logMeta(trade, quote, rule) {
-    console.log(
-      `[${rule.name.substring(0, 15)}...]`,
-      ' => close:', this.parse(quote.close),
-      '| entry:', this.parse(get(trade, 'buyPrice', 0)),
-      '| risk:', this.parse(get(trade, 'riskValue', 0)),
-      '| profit:', this.parse(get(trade, 'profitValue', 0)),
-      '| follow:', get(rule, 'limits.followPrice.enabled', false),
-      '| targetReached:', get(trade, 'targetReached', false),
-      '| time:', (new Date()).toLocaleTimeString(),
-      '\n========================================================================================================================================================='
-    );
+    this.debug(`Rule ${rule.name} evaluated`, {
+      user: rule.user,
+      rule,
+      trade,
+      symbol: rule.symbol,
+      close: round(quote.close, 2),
+      entry: round(get(trade, 'buyPrice', 0), 2),
+      risk: round(get(trade, 'riskValue', 0), 2),
+      profit: round(get(trade, 'profitValue', 0), 2),
+      follow: get(rule, 'limits.followPrice.enabled', false),
+      targetReached: get(trade, 'targetReached', false),
+    });
   }
 
   ping() {
     const message = `[ping...] | time:${(new Date()).toLocaleTimeString()}`;
     this.logger.send(message);
-    console.log(message);
+    this.info(message);
   }
 
   parse(n) {
@@ -0,0 +1,28 @@
+const { getUserBroker } = require('../brokers');
+const MarketDataProvider = require('./MarketDataProvider');
+
+/**
+ * Quotes from the users' broker. Only prices are available, indicators are not.
+ * Quotes are requested on behalf of the first authenticated user
+ */
+class BrokerQuoteProvider extends MarketDataProvider {
+  constructor() {
+    super('broker');
+  }
+
+  fetchQuotes(symbols, { users = [] } = {}) {
+    const user = users.find(u => u.token);
+    if (!user) {
+      return Promise.reject(new Error('No authenticated user available to fetch broker quotes'));
+    }
+
+    const broker = getUserBroker(user);
+    return Promise.all(symbols.map(symbol => {
+      const [exchange, ticker] = symbol.includes(':') ? symbol.split(':') : [null, symbol];
+      return broker.getQuote(user, ticker)
+        .then(quote => ({ ...quote, symbol, exchange }));
+    }));
+  }
+}
+
+module.exports = BrokerQuoteProvider;
@@ -0,0 +1,26 @@
+/**
+ * Base market data provider. Providers return raw quotes shaped as
+ * `{ symbol: 'NASDAQ:AAPL', close, ...any other field patterns can use }`.
+ * Indicators and history values are appended by the `MarketDataService`
+ */
+class MarketDataProvider {
+  constructor(name) {
+    this.name = name;
+    /**
+     * Whether quotes come out of the provider with indicators and history values already appended
+     */
+    this.isEnriched = false;
+  }
+
+  /**
+   * Retrieves the latest quotes
+   * @param symbols Symbols prefixed by exchange e.g. 'NASDAQ:AAPL'
+   * @param context Engine context, e.g. `{ users }`
+   * @returns {Promise<Object[]>}
+   */
+  fetchQuotes() {
+    return Promise.reject(new Error(`fetchQuotes is not implemented by the ${this.name} market data provider`));
+  }
+}
+
+module.exports = MarketDataProvider;
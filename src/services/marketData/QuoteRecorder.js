@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+const logger = require('../logService');
+
+/**
+ * Records every set of quotes the engine receives, one JSON frame per line, in a daily session file
+ * that can be replayed later with the `ReplayProvider`
+ */
+class QuoteRecorder {
+  /**
+   * @param directory Directory where session files are written
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Session file for a given date
+   * @param date
+   * @returns {string}
+   */
+  getFile(date = new Date()) {
+    return path.join(this.directory, `session-${moment(date).format('YYYY-MM-DD')}.jsonl`);
+  }
+
+  /**
+   * Appends a frame to the session file
+   * @param quotes
+   * @param date
+   */
+  record(quotes, date = new Date()) {
+    const frame = JSON.stringify({ date, quotes });
+    fs.appendFile(this.getFile(date), `${frame}\n`, error => error && logger.error(error));
+  }
+}
+
+module.exports = QuoteRecorder;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { findLast } = require('lodash');
+
+const MarketDataProvider = require('./MarketDataProvider');
+
+/**
+ * Replays a session recorded by the `QuoteRecorder`, at real or accelerated speed.
+ * The replay clock starts on the first quotes request. Every symbol gets the last quote recorded
+ * at or before the current replay time, exactly as the engine saw it (history included)
+ */
+class ReplayProvider extends MarketDataProvider {
+  /**
+   * @param file Recorded session file, one `{ date, quotes }` JSON frame per line
+   * @param speed Replay speed multiplier, e.g. 60 replays one minute per second
+   */
+  constructor(file, speed = 1) {
+    super('replay');
+    this.isEnriched = true;
+    this.file = file;
+    this.speed = Number(speed) || 1;
+    this.frames = [];
+    this.startedAt = null;
+  }
+
+  /**
+   * Loads the session file and resets the replay clock
+   */
+  load() {
+    this.frames = fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .map(frame => ({ ...frame, date: new Date(frame.date) }))
+      .sort((a, b) => a.date - b.date);
+    this.startedAt = null;
+
+    return this;
+  }
+
+  /**
+   * Current time within the recorded session
+   * @returns {Date}
+   */
+  getReplayTime() {
+    if (!this.frames.length) {
+      return null;
+    }
+
+    const sessionStart = this.frames[0].date.getTime();
+    const elapsed = this.startedAt ? Date.now() - this.startedAt : 0;
+
+    return new Date(sessionStart + elapsed * this.speed);
+  }
+
+  /**
+   * Whether all recorded frames were replayed
+   * @returns {boolean}
+   */
+  isFinished() {
+    const replayTime = this.getReplayTime();
+    return !replayTime || replayTime >= this.frames[this.frames.length - 1].date;
+  }
+
+  /**
+   * Recorded quotes already carry their indicators and history, therefore they are returned as they are
+   */
+  fetchQuotes(symbols) {
+    if (!this.frames.length) {
+      this.load();
+    }
+    if (!this.startedAt) {
+      this.startedAt = Date.now();
+    }
+
+    const replayTime = this.getReplayTime();
+    const frames = this.frames.filter(frame => frame.date <= replayTime);
+    const quotes = symbols
+      .map(symbol => {
+        const frame = findLast(frames, ({ quotes }) => quotes.some(q => q.symbol === symbol));
+        return frame && { ...frame.quotes.find(q => q.symbol === symbol) };
+      })
+      .filter(quote => quote);
+
+    return Promise.resolve(quotes);
+  }
+}
+
+module.exports = ReplayProvider;
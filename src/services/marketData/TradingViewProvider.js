@@ -0,0 +1,18 @@
+const tv = require('../tvApiService');
+const MarketDataProvider = require('./MarketDataProvider');
+
+/**
+ * Quotes and indicators from the TradingView scanner
+ */
+class TradingViewProvider extends MarketDataProvider {
+  constructor(columns = tv.defaultColumns) {
+    super('tradingview');
+    this.columns = columns;
+  }
+
+  fetchQuotes(symbols) {
+    return tv.getQuotes(symbols, this.columns);
+  }
+}
+
+module.exports = TradingViewProvider;
@@ -0,0 +1,120 @@
+const { get } = require('lodash');
+
+const {
+  MARKET_DATA_PROVIDER = 'tradingview',
+  MARKET_DATA_RECORD_DIR,
+  MARKET_DATA_REPLAY_FILE,
+  MARKET_DATA_REPLAY_SPEED = 1,
+} = require('../../config/env');
+const TradingViewProvider = require('./TradingViewProvider');
+const BrokerQuoteProvider = require('./BrokerQuoteProvider');
+const ReplayProvider = require('./ReplayProvider');
+const QuoteRecorder = require('./QuoteRecorder');
+const { QuoteHistory } = require('./quoteHistory');
+const indicators = require('../indicators');
+const events = require('../eventService');
+
+/**
+ * Creates a market data provider by name
+ * @param name 'tradingview', 'broker' or 'replay'
+ * @param options
+ * @param options.file Session file to replay
+ * @param options.speed Replay speed multiplier
+ * @returns {MarketDataProvider}
+ */
+const createProvider = (name, { file = MARKET_DATA_REPLAY_FILE, speed = MARKET_DATA_REPLAY_SPEED } = {}) => {
+  switch (name) {
+  case 'tradingview':
+    return new TradingViewProvider();
+  case 'broker':
+    return new BrokerQuoteProvider();
+  case 'replay':
+    if (!file) {
+      throw new Error('A session file is required to replay market data');
+    }
+    return new ReplayProvider(file, speed).load();
+  default:
+    throw new Error(`Unsupported market data provider: ${name}`);
+  }
+};
+
+/**
+ * Single entry point for quotes used by the engine. Appends indicators and history values to the
+ * provider quotes. Quotes from live providers are recorded when `MARKET_DATA_RECORD_DIR` is configured
+ */
+class MarketDataService {
+  constructor() {
+    this.provider = createProvider(MARKET_DATA_PROVIDER);
+    this.recorder = MARKET_DATA_RECORD_DIR ? new QuoteRecorder(MARKET_DATA_RECORD_DIR) : null;
+    this.history = new QuoteHistory();
+  }
+
+  /**
+   * Switches the active provider
+   * @param name
+   * @param options See @method createProvider
+   */
+  use(name, options) {
+    this.provider = createProvider(name, options);
+  }
+
+  /**
+   * @param symbols Symbols prefixed by exchange e.g. 'NASDAQ:AAPL'
+   * @param context Engine context
+   * @param context.users Engine users, used by providers needing authentication
+   * @param context.indicators Extra indicator specs by symbol, e.g. `{ 'NASDAQ:AAPL': ['ema:9'] }`
+   * @param context.historySizes Quote history window size by symbol, e.g. `{ 'NASDAQ:AAPL': 20 }`
+   * @param context.frequency Engine frequency the quotes are retrieved on, see `QuoteHistory.append`
+   * @returns {Promise<Object[]>}
+   */
+  async getQuotes(symbols, context = {}) {
+    const quotes = await this.provider.fetchQuotes(symbols, context);
+
+    if (this.provider.isEnriched) {
+      quotes.forEach(quote => events.quote(quote));
+      return quotes;
+    }
+
+    const enrichedQuotes = quotes.map(quote => this.enrich(quote, context, true));
+
+    if (this.recorder) {
+      this.recorder.record(enrichedQuotes);
+    }
+    enrichedQuotes.forEach(quote => events.quote(quote));
+
+    return enrichedQuotes;
+  }
+
+  /**
+   * Retrieves quotes without affecting the indicators and history seen by the engine, nor recording them
+   * @param symbols
+   * @param context See @method getQuotes
+   * @returns {Promise<Object[]>}
+   */
+  async peekQuotes(symbols, context = {}) {
+    const quotes = await this.provider.fetchQuotes(symbols, context);
+
+    if (this.provider.isEnriched) {
+      return quotes;
+    }
+
+    return quotes.map(quote => this.enrich(quote, context, false));
+  }
+
+  /**
+   * Appends indicators and history values to a quote
+   * @param quote
+   * @param context
+   * @param commit Whether the quote becomes part of the symbol history
+   * @private
+   */
+  enrich(quote, context, commit) {
+    const specs = get(context, ['indicators', quote.symbol], []);
+    const size = get(context, ['historySizes', quote.symbol]);
+    const enrichedQuote = { ...quote, ...indicators.update(quote, specs, { commit }) };
+
+    return this.history.append(enrichedQuote, { size, commit, frequency: context.frequency });
+  }
+}
+
+module.exports = new MarketDataService();
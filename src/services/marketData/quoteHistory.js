@@ -0,0 +1,113 @@
+const { isNumber, isFinite, get, uniq, min, max, mean } = require('lodash');
+
+const {
+  QUOTE_HISTORY_SIZE = 10,
+  QUOTE_HISTORY_AGGREGATE_PERIODS = [3, 5, 10],
+} = require('../../config/env');
+
+/**
+ * Appends previous quote numeric values to current quote with a "previous" prefix
+ * @example { close: 10 } => { close: 10, previous_close: 9.9 }
+ * @param quote
+ * @param previousQuote
+ * @returns {Object}
+ */
+const appendPreviousValues = (quote, previousQuote = {}) => {
+  Object.keys(quote)
+    .filter(key => isNumber(quote[key]) && !key.startsWith('previous_'))
+    .forEach(key => quote[`previous_${key}`] = previousQuote[key]);
+
+  return quote;
+};
+
+/**
+ * Slope of the least squares line through the values, in units per sample
+ * @param values Oldest first
+ * @returns {number}
+ */
+const slope = (values) => {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+
+  values.forEach((value, x) => {
+    numerator += (x - xMean) * (value - yMean);
+    denominator += Math.pow(x - xMean, 2);
+  });
+
+  return denominator ? numerator / denominator : 0;
+};
+
+/**
+ * Rolling window of past quotes per symbol and engine frequency, so 5 seconds and 1 minute samples never mix. Every numeric quote field gets:
+ * - `previous_<field>`: value on the previous quote
+ * - `<field>_prev<n>`: value n quotes ago, from 1 to the window size, named apart from indicators like `rsi_14`
+ * - `<field>_min_<n>`, `<field>_max_<n>`, `<field>_avg_<n>`, `<field>_slope_<n>`: aggregates over the
+ *   last n quotes, current one included
+ * Fields already present on the quote (e.g. indicators like `rsi_14`) are never overwritten
+ */
+class QuoteHistory {
+  /**
+   * @param defaultSize Number of past quotes kept per symbol
+   * @param aggregatePeriods Periods aggregates are computed over, capped by the window size
+   */
+  constructor(defaultSize = QUOTE_HISTORY_SIZE, aggregatePeriods = QUOTE_HISTORY_AGGREGATE_PERIODS) {
+    this.defaultSize = defaultSize;
+    this.aggregatePeriods = aggregatePeriods;
+    this.windows = {};
+  }
+
+  /**
+   * Appends history fields to a quote
+   * @param quote
+   * @param options
+   * @param options.size Window size for the quote symbol
+   * @param options.commit Whether the quote becomes part of the symbol history
+   * @param options.frequency Engine frequency the quote was retrieved on, quotes without one share their own window
+   * @returns {Object} Quote with history fields
+   */
+  append(quote, { size = this.defaultSize, commit = true, frequency } = {}) {
+    const key = frequency ? `${quote.symbol}|${frequency}` : quote.symbol;
+    const window = get(this.windows, [key], []);
+    const fields = Object.keys(quote).filter(key => isNumber(quote[key]) && !key.startsWith('previous_'));
+    const periods = uniq([...this.aggregatePeriods, size]).filter(period => period >= 2 && period <= size + 1);
+    const result = appendPreviousValues({ ...quote }, window[0]);
+    const set = (key, value) => {
+      if (!(key in quote)) {
+        result[key] = value;
+      }
+    };
+
+    fields.forEach(field => {
+      for (let n = 1; n <= size; n++) {
+        set(`${field}_prev${n}`, get(window, [n - 1, field]));
+      }
+
+      periods.forEach(period => {
+        const values = [quote[field], ...window.slice(0, period - 1).map(q => q[field])];
+        // Aggregates are only available once the window holds enough valid values
+        const isComplete = values.length === period && values.every(value => isFinite(value));
+
+        set(`${field}_min_${period}`, isComplete ? min(values) : null);
+        set(`${field}_max_${period}`, isComplete ? max(values) : null);
+        set(`${field}_avg_${period}`, isComplete ? mean(values) : null);
+        set(`${field}_slope_${period}`, isComplete ? slope(values.slice().reverse()) : null);
+      });
+    });
+
+    if (commit) {
+      // Newest first. Windows never shrink, a smaller size requested later must not drop the history others need
+      this.windows[key] = [{ ...quote }, ...window].slice(0, Math.max(size, this.defaultSize, window.length));
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  appendPreviousValues,
+  slope,
+  QuoteHistory,
+};
@@ -0,0 +1,17 @@
+const NotificationChannel = require('./NotificationChannel');
+
+/**
+ * Prints notifications to the server output, useful for local setups
+ */
+class ConsoleChannel extends NotificationChannel {
+  constructor() {
+    super('console');
+  }
+
+  send(user, settings, { title, message }) {
+    console.log(`[${user.username}] *${title}* ${message}`);
+    return Promise.resolve();
+  }
+}
+
+module.exports = ConsoleChannel;
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+const { get } = require('lodash');
+
+const NotificationChannel = require('./NotificationChannel');
+const { decrypt } = require('../utils');
+
+/**
+ * Sends emails with the account configured on `user.emailConfig`
+ */
+class EmailChannel extends NotificationChannel {
+  constructor() {
+    super('email');
+  }
+
+  send(user, settings, { title, message }) {
+    const { service, username, password, toEmail } = get(user, 'emailConfig', {});
+    if (!service || !username || !password) {
+      return Promise.reject(new Error('Email not configured'));
+    }
+
+    const transport = nodemailer.createTransport({
+      service,
+      auth: { user: username, pass: decrypt(password) },
+    });
+
+    return transport.sendMail({
+      from: username,
+      to: toEmail || username,
+      subject: title,
+      text: message,
+    });
+  }
+}
+
+module.exports = EmailChannel;
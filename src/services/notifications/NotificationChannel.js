@@ -0,0 +1,26 @@
+/**
+ * Base notification channel. Channels deliver a notification shaped as
+ * `{ type, title, message, data }` using the user channel settings
+ *
+ * @typedef {Object} ChannelSettings - An entry of `user.notifications`
+ * @property {string} channel - Channel name
+ * @property {string[]} events - Subscribed event types, every notified event when empty
+ * @property {string} url - Slack incoming webhook or HTTP webhook url
+ */
+class NotificationChannel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param user
+   * @param settings {ChannelSettings}
+   * @param notification
+   * @returns {Promise}
+   */
+  send() {
+    return Promise.reject(new Error(`send is not implemented by the ${this.name} notification channel`));
+  }
+}
+
+module.exports = NotificationChannel;
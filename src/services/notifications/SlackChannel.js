@@ -0,0 +1,22 @@
+const { IncomingWebhook } = require('@slack/client');
+
+const NotificationChannel = require('./NotificationChannel');
+
+/**
+ * Posts to the Slack incoming webhook given as `url`
+ */
+class SlackChannel extends NotificationChannel {
+  constructor() {
+    super('slack');
+  }
+
+  send(user, { url }, { title, message }) {
+    if (!url) {
+      return Promise.reject(new Error('Slack webhook url not configured'));
+    }
+
+    return new IncomingWebhook(url).send(`*${title}* ${message}`);
+  }
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,22 @@
+const request = require('request-promise-native');
+
+const NotificationChannel = require('./NotificationChannel');
+
+/**
+ * Posts the whole notification as JSON to `url`
+ */
+class WebhookChannel extends NotificationChannel {
+  constructor() {
+    super('webhook');
+  }
+
+  send(user, { url }, notification) {
+    if (!url) {
+      return Promise.reject(new Error('Webhook url not configured'));
+    }
+
+    return request({ method: 'POST', uri: url, body: notification, json: true });
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,44 @@
+const SlackChannel = require('./SlackChannel');
+const EmailChannel = require('./EmailChannel');
+const WebhookChannel = require('./WebhookChannel');
+const ConsoleChannel = require('./ConsoleChannel');
+const NotificationChannel = require('./NotificationChannel');
+const { EVENT_TYPES } = require('../eventService');
+
+const channels = {
+  slack: new SlackChannel(),
+  email: new EmailChannel(),
+  webhook: new WebhookChannel(),
+  console: new ConsoleChannel(),
+};
+
+/**
+ * Events users can subscribe to
+ */
+const NOTIFICATION_EVENTS = [
+  EVENT_TYPES.ORDER_PLACED,
+  EVENT_TYPES.ORDER_FILLED,
+  EVENT_TYPES.ORDER_CANCELLED,
+  EVENT_TYPES.RISK_LIMIT_REACHED,
+  EVENT_TYPES.ENGINE_ERROR,
+];
+
+/**
+ * Retrieves a notification channel by name
+ * @param name
+ * @returns {NotificationChannel}
+ */
+const getChannel = (name) => {
+  const channel = channels[name];
+  if (!channel) {
+    throw new Error(`Unsupported notification channel: ${name}`);
+  }
+  return channel;
+};
+
+module.exports = {
+  getChannel,
+  NotificationChannel,
+  NOTIFICATION_EVENTS,
+  channelNames: Object.keys(channels),
+};
@@ -0,0 +1,133 @@
+const { get } = require('lodash');
+
+const { User } = require('../models');
+const events = require('./eventService');
+const logger = require('./logService');
+const { getChannel, NOTIFICATION_EVENTS } = require('./notifications');
+const { ONE_MINUTE, TEN_MINUTES } = require('./utils');
+
+const { EVENT_TYPES } = events;
+
+/**
+ * @private
+ */
+const formatPrice = (price) => price ? `$${Number(price).toFixed(3)}` : 'market';
+
+/**
+ * Builds the notification sent for an event: `{ type, title, message, data }`
+ * @private
+ */
+const toNotification = (event) => {
+  const { type, symbol, data } = event;
+  let title;
+  let message;
+
+  switch (type) {
+  case EVENT_TYPES.ORDER_PLACED:
+    title = 'Order placed';
+    message = `${symbol} | ${data.side} | ${data.type} | ${data.quantity} shares | ${formatPrice(data.price || data.stopPrice)}`;
+    break;
+  case EVENT_TYPES.ORDER_FILLED:
+    title = 'Order filled';
+    message = `${symbol} | ${data.side} | ${data.filledQuantity} shares | ${formatPrice(data.averagePrice)}`;
+    break;
+  case EVENT_TYPES.ORDER_CANCELLED:
+    title = 'Order cancelled';
+    message = `${symbol} | ${data.side} | ${data.filledQuantity || 0}/${data.quantity} shares filled`;
+    break;
+  case EVENT_TYPES.RISK_LIMIT_REACHED:
+    title = 'Risk limit reached';
+    message = `${data.reason} | New entries disabled for the rest of the day`;
+    break;
+  default:
+    title = 'Engine error';
+    message = data.message;
+  }
+
+  return { type, title, message, date: event.date, data };
+};
+
+/**
+ * Delivers the engine events to the channels configured on `user.notifications`.
+ * Events belonging to a user are sent to that user, engine errors to the admins
+ */
+class Notifier {
+  constructor() {
+    this.unsubscribe = null;
+    this.users = [];
+    this.usersLoadedAt = 0;
+    /**
+     * Last time each engine error message was sent, the same error is sent once every ten minutes
+     */
+    this.sentErrors = new Map();
+  }
+
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = events.subscribe({ types: NOTIFICATION_EVENTS }, event => this.notify(event));
+    }
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Users with notifications, refreshed every minute
+   * @returns {Promise<Object[]>}
+   */
+  async getUsers() {
+    if (Date.now() - this.usersLoadedAt > ONE_MINUTE) {
+      this.users = await User.find({ 'notifications.0': { $exists: true } }).lean();
+      this.usersLoadedAt = Date.now();
+    }
+    return this.users;
+  }
+
+  /**
+   * @param event
+   * @returns {Promise}
+   */
+  async notify(event) {
+    try {
+      if (event.type === EVENT_TYPES.ENGINE_ERROR) {
+        const sentAt = this.sentErrors.get(event.data.message);
+        if (sentAt && Date.now() - sentAt < TEN_MINUTES) {
+          return;
+        }
+        for (const [message, date] of this.sentErrors) {
+          if (Date.now() - date >= TEN_MINUTES) {
+            this.sentErrors.delete(message);
+          }
+        }
+        this.sentErrors.set(event.data.message, Date.now());
+      }
+
+      const users = (await this.getUsers())
+        .filter(user => event.user ? user._id.toString() === event.user : user.role === 'admin');
+      const notification = toNotification(event);
+
+      await Promise.all(users.map(user => Promise.all(get(user, 'notifications', [])
+        .filter(settings => settings.enabled !== false)
+        .filter(settings => !get(settings, 'events.length') || settings.events.includes(event.type))
+        .map(settings => this.send(user, settings, notification)))));
+    } catch (error) {
+      // Logged as warning, engine errors would be notified again
+      logger.warn(`Failed to send notifications. ${error.message}`, { event: event.type });
+    }
+  }
+
+  /**
+   * @private
+   */
+  send(user, settings, notification) {
+    return Promise.resolve()
+      .then(() => getChannel(settings.channel).send(user, settings, notification))
+      .catch(error => logger.warn(`Failed to send ${settings.channel} notification. ${error.message}`, { user }));
+  }
+}
+
+module.exports = new Notifier();
@@ -0,0 +1,367 @@
+/**
+ * Human readable pattern language, compiled into the mingo query evaluated by the engine
+ * @example
+ * rsi < 30 and close > ema and macd crosses_above macdSignal
+ * (close - open) / open * 100 >= 2 or not (volume < 100000)
+ *
+ * Supported:
+ * - Comparisons: <, <=, >, >=, == (or =), !=
+ * - Crosses: `a crosses_above b` and `a crosses_below b`, using the `previous_` quote values
+ * - Logic: and, or, not, parentheses
+ * - Arithmetic: +, -, *, /
+ * - Values: quote/rule fields (dotted paths allowed), numbers, quoted strings, true, false, null
+ * - A field on its own matches when it is true, e.g. `holdOvernight`
+ */
+const { cloneDeep } = require('lodash');
+
+const keywords = ['and', 'or', 'not', 'crosses_above', 'crosses_below', 'true', 'false', 'null'];
+const comparisons = {
+  '<': '$lt',
+  '<=': '$lte',
+  '>': '$gt',
+  '>=': '$gte',
+  '==': '$eq',
+  '=': '$eq',
+  '!=': '$ne',
+};
+// Operator used when the operands of a comparison are swapped
+const flipped = { $lt: '$gt', $lte: '$gte', $gt: '$lt', $gte: '$lte', $eq: '$eq', $ne: '$ne' };
+const arithmetic = { '+': '$add', '-': '$subtract', '*': '$multiply', '/': '$divide' };
+const compiledCache = new Map();
+
+class PatternSyntaxError extends Error {
+  constructor(message, source, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'PatternSyntaxError';
+    this.position = position;
+    this.excerpt = `${source}\n${' '.repeat(position)}^`;
+  }
+}
+
+/**
+ * Splits an expression into tokens: `{ type, value, position }`
+ * @param source
+ * @returns {Object[]}
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const whitespace = rest.match(/^\s+/);
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)/);
+    const word = rest.match(/^[A-Za-z_][\w.]*/);
+    const operator = rest.match(/^(<=|>=|==|!=|<|>|=|\+|-|\*|\/|\(|\))/);
+    const quote = rest[0] === '"' || rest[0] === '\'' ? rest[0] : null;
+
+    if (whitespace) {
+      position += whitespace[0].length;
+    } else if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position });
+      position += number[0].length;
+    } else if (word) {
+      const lower = word[0].toLowerCase();
+      tokens.push(keywords.includes(lower) ?
+        { type: 'keyword', value: lower, position } :
+        { type: 'field', value: word[0], position });
+      position += word[0].length;
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator[0], position });
+      position += operator[0].length;
+    } else if (quote) {
+      const end = source.indexOf(quote, position + 1);
+      if (end === -1) {
+        throw new PatternSyntaxError('Unterminated string', source, position);
+      }
+      tokens.push({ type: 'string', value: source.slice(position + 1, end), position });
+      position = end + 1;
+    } else {
+      throw new PatternSyntaxError(`Unexpected character "${rest[0]}"`, source, position);
+    }
+  }
+
+  tokens.push({ type: 'end', value: 'end of expression', position: source.length });
+
+  return tokens;
+};
+
+/**
+ * Recursive descent parser producing an AST
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    this.expect('end');
+    return ast;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  is(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    if (!this.is(type, value)) {
+      this.fail(`Expected ${value || type}`);
+    }
+    return this.next();
+  }
+
+  fail(message, token = this.peek()) {
+    const found = token.type === 'end' ? token.value : `"${token.value}"`;
+    throw new PatternSyntaxError(`${message} but found ${found}`, this.source, token.position);
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.is('keyword', 'or')) {
+      this.next();
+      operands.push(this.parseAnd());
+    }
+    return operands.length > 1 ? { type: 'or', operands } : operands[0];
+  }
+
+  parseAnd() {
+    const operands = [this.parseNot()];
+    while (this.is('keyword', 'and')) {
+      this.next();
+      operands.push(this.parseNot());
+    }
+    return operands.length > 1 ? { type: 'and', operands } : operands[0];
+  }
+
+  parseNot() {
+    if (this.is('keyword', 'not')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+
+    if (this.is('operator', '(')) {
+      // "(" may open either a group of conditions or an arithmetic operand, e.g. "(close - open) > 1"
+      const start = this.index;
+      try {
+        return this.parseComparison();
+      } catch (comparisonError) {
+        if (!(comparisonError instanceof PatternSyntaxError)) {
+          throw comparisonError;
+        }
+        this.index = start;
+        try {
+          this.next();
+          const group = this.parseOr();
+          this.expect('operator', ')');
+          return group;
+        } catch (groupError) {
+          // Report the error that got further into the expression
+          throw groupError.position >= comparisonError.position ? groupError : comparisonError;
+        }
+      }
+    }
+
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && comparisons[token.value]) {
+      this.next();
+      return { type: 'compare', operator: comparisons[token.value], left, right: this.parseAdditive() };
+    }
+
+    if (token.type === 'keyword' && ['crosses_above', 'crosses_below'].includes(token.value)) {
+      this.next();
+      return { type: 'cross', direction: token.value, left, right: this.parseAdditive() };
+    }
+
+    if (left.type === 'field') {
+      return { type: 'compare', operator: '$eq', left, right: { type: 'literal', value: true } };
+    }
+
+    return this.fail('Expected a comparison operator');
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.is('operator', '+') || this.is('operator', '-')) {
+      const operator = arithmetic[this.next().value];
+      left = { type: 'math', operator, operands: [left, this.parseMultiplicative()] };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.is('operator', '*') || this.is('operator', '/')) {
+      const operator = arithmetic[this.next().value];
+      left = { type: 'math', operator, operands: [left, this.parseUnary()] };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.is('operator', '-')) {
+      this.next();
+      const operand = this.parseUnary();
+      return operand.type === 'literal' && typeof operand.value === 'number' ?
+        { type: 'literal', value: -operand.value } :
+        { type: 'math', operator: '$multiply', operands: [{ type: 'literal', value: -1 }, operand] };
+    }
+    return this.parseValue();
+  }
+
+  parseValue() {
+    const token = this.peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.next();
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      this.next();
+      return { type: 'literal', value: JSON.parse(token.value) };
+    }
+    if (token.type === 'field') {
+      this.next();
+      return { type: 'field', name: token.value };
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      this.next();
+      const value = this.parseAdditive();
+      this.expect('operator', ')');
+      return value;
+    }
+
+    return this.fail('Expected a value');
+  }
+}
+
+/**
+ * Replaces every field by its previous value, e.g. `macd` => `previous_macd`
+ * @private
+ */
+const toPrevious = (node) => {
+  if (node.type === 'field') {
+    return { type: 'field', name: `previous_${node.name}` };
+  }
+  if (node.type === 'math') {
+    return { ...node, operands: node.operands.map(toPrevious) };
+  }
+  return node;
+};
+
+/**
+ * @private
+ */
+const getFields = (node) => {
+  if (node.type === 'field') {
+    return [node.name];
+  }
+  if (node.type === 'math') {
+    return [].concat(...node.operands.map(getFields));
+  }
+  return [];
+};
+
+/**
+ * @private
+ */
+const toAggregation = (node) => {
+  if (node.type === 'field') {
+    return `$${node.name}`;
+  }
+  if (node.type === 'math') {
+    return { [node.operator]: node.operands.map(toAggregation) };
+  }
+  return node.value;
+};
+
+/**
+ * Converts an AST node into a mingo query
+ * @private
+ */
+const toQuery = (node) => {
+  switch (node.type) {
+  case 'and':
+  case 'or':
+    return { [`$${node.type}`]: node.operands.map(toQuery) };
+  case 'not':
+    return { $nor: [toQuery(node.operand)] };
+  case 'cross': {
+    const isAbove = node.direction === 'crosses_above';
+    const current = { type: 'compare', operator: isAbove ? '$gt' : '$lt', left: node.left, right: node.right };
+    const previous = {
+      type: 'compare',
+      operator: isAbove ? '$lte' : '$gte',
+      left: toPrevious(node.left),
+      right: toPrevious(node.right),
+    };
+    return { $and: [toQuery(current), toQuery(previous)] };
+  }
+  case 'compare': {
+    const { left, right, operator } = node;
+
+    // Simple field vs value comparisons use plain queries
+    if (left.type === 'field' && right.type === 'literal') {
+      return { [left.name]: { [operator]: right.value } };
+    }
+    if (left.type === 'literal' && right.type === 'field') {
+      return { [right.name]: { [flipped[operator]]: left.value } };
+    }
+
+    // Any other comparison needs an aggregation expression. Fields must hold a value to match
+    const guards = [...new Set([...getFields(left), ...getFields(right)])]
+      .map(field => ({ [field]: { $ne: null } }));
+    const expression = { $expr: { [operator]: [toAggregation(left), toAggregation(right)] } };
+
+    return guards.length ? { $and: [...guards, expression] } : expression;
+  }
+  default:
+    throw new Error(`Unknown node type ${node.type}`);
+  }
+};
+
+/**
+ * Parses an expression into an AST
+ * @param source
+ * @returns {Object}
+ * @throws {PatternSyntaxError}
+ */
+const parse = (source) => new Parser(String(source)).parse();
+
+/**
+ * Compiles an expression into a mingo query. Results are cached by expression
+ * @param source
+ * @returns {Object}
+ * @throws {PatternSyntaxError}
+ */
+const compile = (source) => {
+  if (!compiledCache.has(source)) {
+    compiledCache.set(source, toQuery(parse(source)));
+  }
+  return cloneDeep(compiledCache.get(source));
+};
+
+module.exports = {
+  tokenize,
+  parse,
+  compile,
+  PatternSyntaxError,
+};
@@ -2,7 +2,6 @@ const request = require('request-promise-native');
 const querystring = require('querystring');
 const { RBH_API_BASE } = require('../config/env');
 const Utils = require('../services/utils');
-const moment = require('moment');
 
 const common = { json: true };
 
@@ -102,12 +101,28 @@ class RHService {
       .then(({ results }) => results[0]);
   }
 
+  /**
+   * Retrieves RH main portfolio, which holds the account equity values
+   * @returns {Promise}
+   */
+  getPortfolio({ token }) {
+    const options = {
+      ...common,
+      headers: {
+        Authorization: token,
+      },
+      uri: `${RBH_API_BASE}/portfolios/`,
+    };
+    return request(options)
+      .then(({ results }) => results[0]);
+  }
+
   /**
    * Retrieves day trades count for account
    * @returns {Promise}
    */
-  getDayTradeCount(accountNumber) {
-    return this.getAccountResource(accountNumber, 'recent_day_trades')
+  getDayTradeCount(user, accountNumber) {
+    return this.getAccountResource(user, accountNumber, 'recent_day_trades')
       .then(({ equity_day_trades }) => equity_day_trades.length);
   }
 
@@ -142,19 +157,21 @@ class RHService {
 
   /**
    * Get quote. Used for interval feed analysis
+   * @param user
    * @param symbol
    * @returns {Promise}
    */
-  getQuote(symbol) {
-    return this.getWithAuth(`${RBH_API_BASE}/quotes/${symbol}/`);
+  getQuote(user, symbol) {
+    return this.getWithAuth(user, `${RBH_API_BASE}/quotes/${symbol}/`);
   }
 
   /**
    * Generic GET request with authentication headers
+   * @param token
    * @param uri
    * @returns {Promise}
    */
-  getWithAuth(uri) {
+  getWithAuth({ token }, uri) {
     const options = {
       ...common,
       headers: {
@@ -202,11 +219,12 @@ class RHService {
 
   /**
    * Private utility function to easier use of the RH API
+   * @param token
    * @param accountNumber
    * @param resource
    * @private
    */
-  getAccountResource(accountNumber, resource) {
+  getAccountResource({ token }, accountNumber, resource) {
     const options = {
       ...common,
       headers: {
@@ -217,17 +235,17 @@ class RHService {
     return request(options);
   }
 
-  getMarketHours() {
-    if (!Utils.isMarketTimesLoaded()) {
-      const options = {
-        ...common,
-        uri: `${RBH_API_BASE}/markets/XASE/hours/${moment().format('YYYY-MM-DD')}/`,
-      };
-      return request(options)
-        .then(data => Utils.marketTimes(data));
-    }
-
-    return Promise.resolve(Utils.marketTimes());
+  /**
+   * Retrieves market hours for a given date
+   * @param date formatted as YYYY-MM-DD
+   * @returns {Promise}
+   */
+  getMarketHours(date) {
+    const options = {
+      ...common,
+      uri: `${RBH_API_BASE}/markets/XASE/hours/${date}/`,
+    };
+    return request(options);
   }
 }
 
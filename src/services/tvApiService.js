@@ -1,20 +1,34 @@
 const request = require('request-promise-native');
-const { get } = require('lodash');
 
 const { TV_API_BASE } = require('../config/env');
-const historyKeys = ['rsi', 'volume', ];
+
+/**
+ * Quote fields mapped to TradingView scanner columns
+ */
+const defaultColumns = {
+  rsi: 'RSI|1',
+  close: 'close|1',
+  open: 'open|1',
+  macd: 'MACD.macd|1',          // <-- blue line
+  macdSignal: 'MACD.signal|1',  // <-- yellow line
+  ema: 'EMA30|1',
+  volume: 'volume|1',
+};
 
 class TVService {
   constructor() {
-    this.previousQuotes = {};
+    this.defaultColumns = defaultColumns;
   }
 
   /**
-   * Retrieves symbols' close price and RSI 14 indicator
+   * Retrieves symbols' close price and indicators
    * Note: this API updates its data with every 10secs
+   * @param symbols Symbols prefixed by exchange e.g. 'NASDAQ:AAPL'
+   * @param columns Map of quote field => scanner column
    * @returns {Promise}
    */
-  getQuotes(...symbols) {
+  getQuotes(symbols, columns = defaultColumns) {
+    const keys = Object.keys(columns);
     const options = {
       json: true,
       method: 'POST',
@@ -23,34 +37,15 @@ class TVService {
         symbols: {
           tickers: [...symbols]
         },
-        columns: ['RSI|1', 'close|1', 'open|1', 'MACD.macd|1', 'MACD.signal|1', 'EMA30|1', 'volume|1']
+        columns: keys.map(key => columns[key]),
       })
     };
 
     return request(options)
       .then(({ data }) => data.map(s => {
-        const quote = {
-          symbol: s.s,
-          rsi: Number(s.d[0]),
-          close: Number(s.d[1]),
-          open: Number(s.d[2]),
-          diff: Number(s.d[1]) - Number(s.d[2]),
-          macd: Number(s.d[3]),         // <-- blue line
-          macdSignal: Number(s.d[4]),   // <-- yellow line
-          ema: Number(s.d[5]),
-          volume: Number(s.d[6]),
-        };
-
-        // Get previous quote values
-        const previousQuote = get(this.previousQuotes, quote.symbol, {});
-
-        // Save current quote back to memory
-        this.previousQuotes[quote.symbol] = { ...quote };
-
-        // Append previous quote values to current quote with a "previous" prefix
-        historyKeys.forEach(key => quote[`previous_${key}`] = previousQuote[key]);
+        const quote = keys.reduce((result, key, index) => ({ ...result, [key]: Number(s.d[index]) }), { symbol: s.s });
+        quote.diff = quote.close - quote.open;
 
-        // Return quote with current and previous values
         return quote;
       }));
   }
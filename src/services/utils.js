@@ -9,18 +9,19 @@ const marketTimesData = {};
 /**
  * US Stock Market standard hours
  * Note: This function does not check for US holidays or after hours
+ * @param data normalized broker market hours: { opensAt, closesAt, extendedOpensAt, extendedClosesAt, isOpen }
  */
 const marketTimes = (data) => {
   const today = moment().format('YYYY-MM-DD');
 
   if (data && !marketTimesData[today]) {
     marketTimesData[today] = {
-      opensAt: moment(data.opens_at),
-      closesAt: moment(data.closes_at),
-      extendedOpensAt: moment(data.extended_opens_at),
-      extendedClosesAt: moment(data.extended_closes_at),
-      isMarketOpenToday: data.is_open,
-      isMarketClosedToday: !data.is_open,
+      opensAt: moment(data.opensAt),
+      closesAt: moment(data.closesAt),
+      extendedOpensAt: moment(data.extendedOpensAt),
+      extendedClosesAt: moment(data.extendedClosesAt),
+      isMarketOpenToday: data.isOpen,
+      isMarketClosedToday: !data.isOpen,
     };
   }
 